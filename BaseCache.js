@@ -1,6 +1,8 @@
 // basecache is based in RedisCache from 'sm-utils'
 // @see: https://github.com/smartprix/sm-utils/blob/master/src/RedisCache.js
 
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const timestring = require('timestring');
 
 const DELETE = Symbol('DELETE');
@@ -9,6 +11,111 @@ const getting = new Map();
 const setting = new Map();
 const getOrSetting = new Map();
 const getOrSettingStale = new Map();
+// key => promise of the last queued update of the key
+const updating = new Map();
+// key => promise of the write of the key from a stream
+const streaming = new Map();
+// location + keyPath of memoized fns with derived names => WeakRef of the fn
+const memoizedFns = new Map();
+// location + keyPath => LocalCache (shared by all the instances with the same prefix)
+const localCaches = new Map();
+// location + keyPath => CacheStats (shared by all the instances with the same prefix)
+const allStats = new Map();
+
+const STAT_COUNTERS = {
+	hits: 'number of values found in the cache',
+	misses: 'number of values not found in the cache',
+	staleHits: 'number of stale values returned (and regenerated in background)',
+	sets: 'number of values set',
+	refreshes: 'number of values regenerated in background',
+	staleIfErrorHits: 'number of old values returned because generating the value failed',
+	timeouts: 'number of generator fns that timed out',
+	errors: 'number of errors (including errors in generating values)',
+	expired: 'number of expired values deleted',
+	evicted: 'number of values evicted because of size limits',
+	corrupt: 'number of corrupt values found',
+	bytesRead: 'bytes read from the real cache',
+	bytesWritten: 'bytes written to the real cache',
+};
+
+// interval to retry acquiring a lock held by another process
+const LOCK_RETRY_INTERVAL = 50;
+// a sliding value is touched when this fraction of its ttl has passed since the last touch
+// (so that every read does not write to the real cache)
+const SLIDING_TOUCH_RATIO = 0.01;
+// default number of keys to get / set in parallel in batch operations
+const BATCH_CONCURRENCY = 16;
+
+async function _noop() {}
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * map items with an async function, running at most limit calls in parallel
+ * @param {Array<any>} items
+ * @param {number} limit
+ * @param {function(any, number):Promise<any>} fn
+ * @returns {Promise<Array<any>>}
+ */
+async function mapLimit(items, limit, fn) {
+	const results = new Array(items.length);
+	let next = 0;
+	const worker = async () => {
+		while (next < items.length) {
+			const i = next++;
+			results[i] = await fn(items[i], i);
+		}
+	};
+	const workers = [];
+	for (let i = 0; i < Math.min(limit, items.length); i++) {
+		workers.push(worker());
+	}
+	await Promise.all(workers);
+	return results;
+}
+
+function createStats(prefix, location) {
+	const stats = {prefix, location};
+	Object.keys(STAT_COUNTERS).forEach((name) => {
+		stats[name] = 0;
+	});
+	stats.getTime = {count: 0, sum: 0};
+	stats.setTime = {count: 0, sum: 0};
+	return stats;
+}
+
+function snakeCase(str) {
+	return str.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+function escapeLabel(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * normalize entries given as an object, a map or an array of [key, value]
+ * @param {object|Map<string, any>|Array<Array<any>>} entries
+ * @returns {Array<Array<any>>}
+ */
+function toEntries(entries) {
+	if (Array.isArray(entries)) return entries;
+	if (entries instanceof Map) return [...entries];
+	return Object.entries(entries);
+}
+
+/**
+ * map the values returned by a batch function to their keys
+ * @param {Array<string>} keys keys given to the batch function
+ * @param {Array<any>|object|Map<string, any>} values values in the same order as keys or by key
+ * @returns {Map<string, any>}
+ */
+function toValuesMap(keys, values) {
+	if (Array.isArray(values)) return new Map(keys.map((key, i) => [key, values[i]]));
+	if (values instanceof Map) return values;
+	return new Map(Object.entries(values || {}));
+}
 
 async function _withDefault(promise, defaultValue) {
 	const value = await promise;
@@ -29,16 +136,282 @@ function parseTTL(ttl) {
 
 function setCtxStale(ctx, value) {
     if (ctx.staleTTL) {
-        if (value.c < Date.now() - ctx.staleTTL) {
+        if (value.m || value.c < Date.now() - ctx.staleTTL) {
             ctx.isStale = true;
         }
     }
 }
 
+/**
+ * ttl of a value that makes it expire after ttl from now (keeping its created time)
+ * @param {CacheValue} val
+ * @param {number} ttl 0 = never expire
+ * @returns {number}
+ */
+function extendTTL(val, ttl) {
+	return ttl ? Date.now() - val.c + ttl : 0;
+}
+
+function sizeOf(value) {
+	if (value === undefined || value === null) return 0;
+	if (Buffer.isBuffer(value)) return value.length;
+	if (typeof value === 'string') return value.length * 2;
+	try {
+		return (JSON.stringify(value) || '').length * 2;
+	}
+	catch (e) {
+		return 0;
+	}
+}
+
+function globToRegExp(pattern) {
+	const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+	return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 's');
+}
+
+/**
+ * deterministic string representation of a value, to be used as a cache key
+ * object keys are sorted and dates, buffers, maps, sets etc. are distinguishable from plain values
+ * @param {any} value
+ * @param {Set<object>} [seen] objects being serialized (to detect circular references)
+ * @returns {string}
+ */
+function stableStringify(value, seen = new Set()) {
+	if (value === undefined) return 'undefined';
+	if (value === null || typeof value === 'boolean' || typeof value === 'string') return JSON.stringify(value);
+	if (typeof value === 'number') return Number.isFinite(value) ? JSON.stringify(value) : String(value);
+	if (typeof value === 'bigint') return `${value}n`;
+	if (typeof value === 'symbol' || typeof value === 'function') {
+		throw new TypeError(`can't make a key of ${typeof value}, use keyFn`);
+	}
+
+	if (seen.has(value)) throw new TypeError('can\'t make a key of a circular structure, use keyFn');
+	seen.add(value);
+	let result;
+	if (value instanceof Date) {
+		result = `Date(${value.getTime()})`;
+	}
+	else if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) {
+		const buffer = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+		result = `${value.constructor.name}(${buffer.toString('base64')})`;
+	}
+	else if (value instanceof RegExp) {
+		result = String(value);
+	}
+	else if (Array.isArray(value)) {
+		result = `[${value.map(v => stableStringify(v, seen)).join(',')}]`;
+	}
+	else if (value instanceof Map) {
+		const items = [...value].map(([k, v]) => `${stableStringify(k, seen)}:${stableStringify(v, seen)}`);
+		result = `Map{${items.sort().join(',')}}`;
+	}
+	else if (value instanceof Set) {
+		result = `Set[${[...value].map(v => stableStringify(v, seen)).sort().join(',')}]`;
+	}
+	else if (typeof value.toJSON === 'function') {
+		result = stableStringify(value.toJSON(), seen);
+	}
+	else {
+		const items = Object.keys(value).sort()
+			.filter(k => value[k] !== undefined)
+			.map(k => `${JSON.stringify(k)}:${stableStringify(value[k], seen)}`);
+		result = `{${items.join(',')}}`;
+	}
+	seen.delete(value);
+	return result;
+}
+
+/**
+ * default memoize namespace of a function, changes when the source code of the function changes
+ * @param {function} fn
+ * @returns {string}
+ */
+function memoizeName(fn) {
+	const digest = crypto.createHash('sha256').update(fn.toString()).digest('base64url').substring(0, 12);
+	return fn.name ? `${fn.name}-${digest}` : digest;
+}
+
+/**
+ * call a generator fn, passing it an AbortSignal if a timeout or signal is given
+ * rejects with the abort reason (TimeoutError in case of timeout) even if fn ignores the signal
+ * @param {function(string, {signal: AbortSignal}):any} fn
+ * @param {string} key
+ * @param {{timeout: number|string, signal: AbortSignal}} [options]
+ * @returns {any}
+ */
+function callGenerator(fn, key, options) {
+	const timeout = options && parseTTL(options.timeout);
+	const parentSignal = options && options.signal;
+	if (!timeout && !parentSignal) return fn(key, {signal: undefined});
+	if (parentSignal && parentSignal.aborted) return Promise.reject(parentSignal.reason);
+
+	const controller = new AbortController();
+	const {signal} = controller;
+	const onParentAbort = () => controller.abort(parentSignal.reason);
+	if (parentSignal) parentSignal.addEventListener('abort', onParentAbort, {once: true});
+	// not using AbortSignal.timeout, its timer does not keep the process alive while waiting
+	const timer = timeout && setTimeout(() => {
+		controller.abort(new DOMException(`generator timed out after ${timeout}ms`, 'TimeoutError'));
+	}, timeout);
+
+	return new Promise((resolve, reject) => {
+		signal.addEventListener('abort', () => reject(signal.reason), {once: true});
+		Promise.resolve()
+			.then(() => fn(key, {signal}))
+			.then(resolve, reject)
+			.finally(() => {
+				clearTimeout(timer);
+				if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+			});
+	});
+}
+
+function isTimeoutError(error) {
+	return Boolean(error) && error.name === 'TimeoutError';
+}
+
+/**
+ * runs async jobs, at most concurrency of them at a time (0 = no limit)
+ */
+class Limiter {
+	constructor(concurrency = 0) {
+		this.concurrency = concurrency;
+		this.running = 0;
+		this.queue = [];
+	}
+
+	/**
+	 * @param {function():Promise<any>} fn
+	 * @returns {Promise<any>}
+	 */
+	run(fn) {
+		return new Promise((resolve, reject) => {
+			this.queue.push({fn, resolve, reject});
+			this._next();
+		});
+	}
+
+	_next() {
+		while (this.queue.length && (!this.concurrency || this.running < this.concurrency)) {
+			const {fn, resolve, reject} = this.queue.shift();
+			this.running++;
+			Promise.resolve()
+				.then(fn)
+				.then(resolve, reject)
+				.finally(() => {
+					this.running--;
+					this._next();
+				});
+		}
+	}
+}
+
+// limits background refreshes of all the instances without their own backgroundConcurrency
+const backgroundLimiter = new Limiter();
+
+/**
+ * bounded in memory lru cache in front of the real cache
+ */
+class LocalCache {
+	/**
+	 * @param {LocalCacheOptions} [options]
+	 */
+	constructor({maxEntries = 1000, maxSize = 0, ttl = 0} = {}) {
+		this.maxEntries = maxEntries;
+		this.maxSize = maxSize;
+		this.ttl = parseTTL(ttl);
+		this.size = 0;
+		// key => {v, c, t, l, o, m, s: size, e: time when the local copy expires}
+		this.map = new Map();
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {CacheValue|undefined}
+	 */
+	get(key) {
+		const entry = this.map.get(key);
+		if (!entry) return undefined;
+		const now = Date.now();
+		if ((entry.e && entry.e < now) || (entry.t && entry.c < now - entry.t)) {
+			this.delete(key);
+			return undefined;
+		}
+		// move to the end to mark it most recently used
+		this.map.delete(key);
+		this.map.set(key, entry);
+		return entry;
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {any} value processed value
+	 * @param {CacheSetRealOptions} [options]
+	 */
+	set(key, value, {t, c, l, o, m} = {}) {
+		this.delete(key);
+		const s = this.maxSize ? sizeOf(value) : 0;
+		if (this.maxSize && s > this.maxSize) return;
+		this.map.set(key, {
+			v: value,
+			c,
+			t,
+			l,
+			o,
+			m,
+			s,
+			e: this.ttl ? Date.now() + this.ttl : 0,
+		});
+		this.size += s;
+
+		// evict least recently used entries
+		for (const oldKey of this.map.keys()) {
+			const overEntries = this.maxEntries && this.map.size > this.maxEntries;
+			const overSize = this.maxSize && this.size > this.maxSize;
+			if (!overEntries && !overSize) break;
+			this.delete(oldKey);
+		}
+	}
+
+	delete(key) {
+		const entry = this.map.get(key);
+		if (!entry) return;
+		this.size -= entry.s;
+		this.map.delete(key);
+	}
+
+	clear() {
+		this.map.clear();
+		this.size = 0;
+	}
+
+	deleteByPrefix(prefix) {
+		for (const key of this.map.keys()) {
+			if (key.startsWith(prefix)) this.delete(key);
+		}
+	}
+}
+
+/**
+ * @typedef {object} LocalCacheOptions
+ * @property {number} [maxEntries=1000] max number of entries to keep in memory
+ * @property {number} [maxSize=0] max approximate size (in bytes) of the values kept in memory (0 = no limit)
+ * @property {number|string} [ttl=0]
+ *  max time (in ms / timestring) to keep an entry in memory (0 = till it expires)
+ *  NOTE: changes made by other processes are not seen till the local copy expires
+ */
+
 /**
  * @typedef {object} BaseCacheOptions
  * @param {object} [logger]
  *   Custom logger to use instead of console
+ * @param {number|string} [pruneInterval]
+ *   prune expired keys periodically with this interval (in ms / timestring)
+ * @param {boolean|LocalCacheOptions} [localCache]
+ *   keep recently used values in memory too (in front of the real cache)
+ * @param {number} [backgroundConcurrency]
+ *   max number of background refreshes (staleTTL) of this instance running at a time
+ *   by default, the limit shared by all the instances (static backgroundConcurrency) is used
  */
 
 /**
@@ -48,7 +421,46 @@ function setCtxStale(ctx, value) {
  * @param {int} [c]
  *   time when the value was created
  * @param {int} [t]
- *   ttl of the value
+ *   ttl of the value (from c, extended when the value is touched)
+ * @param {int} [e]
+ *   stale-if-error window
+ * @param {boolean} [l]
+ *   whether the expiration is sliding (reads extend the lifetime)
+ * @param {int} [o]
+ *   ttl the value was set with
+ * @param {boolean} [m]
+ *   whether the value is marked stale
+ */
+
+/**
+ * @typedef {object} PruneResult
+ * @property {number} entries number of expired entries removed
+ * @property {number} bytes number of bytes reclaimed
+ */
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {string} key original key
+ * @property {int} c time when the value was created
+ * @property {int} t ttl of the value
+ * @property {number} size size of the stored value in bytes
+ * @property {any} [v] stored value
+ */
+
+/**
+ * @typedef {object} CacheKeysOpts
+ * @property {string} [prefix] only return keys starting with this prefix
+ * @property {string} [pattern] only return keys matching this glob pattern (* and ?)
+ * @property {boolean} [values=false] include values in the entries
+ */
+
+/**
+ * @typedef {object} CacheEntryInfo
+ * @property {string} key
+ * @property {number} createdAt time when the value was created
+ * @property {number} ttl ttl of the value (0 = never expires)
+ * @property {number} size size of the stored value in bytes
+ * @property {any} [value] stored value (only if values option is given)
  */
 
 /**
@@ -57,6 +469,20 @@ function setCtxStale(ctx, value) {
  *   ttl of the value
  * @param {int} [c=0]
  *   time when the value was created
+ * @param {Array<string>} [g]
+ *   tags of the value
+ * @param {int} [e=0]
+ *   stale-if-error window, the value is kept for this long after it expires
+ * @param {boolean} [l=false]
+ *   sliding expiration, reads extend the lifetime of the value
+ * @param {int} [o=t]
+ *   ttl the value was set with (touching the value extends its lifetime by this)
+ * @param {boolean} [m=false]
+ *   whether the value is marked stale
+ * @param {any} [serializer]
+ *   serializer to store the value with (backend specific)
+ * @param {any} [compression]
+ *   compression options (backend specific)
  */
 
 /**
@@ -78,11 +504,30 @@ function setCtxStale(ctx, value) {
  *  if false, this will generate value in background (and return stale value) if value is stale
  * @property {boolean} [forceUpdate=false]
  *  get fresh results (ignoring ttl & staleTTL) and update cache
+ * @property {number|string} [timeout] in ms / timestring ('10s')
+ *  max time to wait for the generator fn, it gets an AbortSignal (`fn(key, {signal})`) that aborts after this time
+ *  on timeout, the stale value (if any) or default is returned
+ * @property {AbortSignal} [signal] signal to cancel the generator fn, the AbortError is thrown
+ * @property {boolean} [sliding=false]
+ *  sliding expiration, reading the value restarts its lifetime (ttl)
+ * @property {number|string|undefined} staleIfError in ms / timestring ('1d 3h')
+ *  set this if you want the old value to be returned when generating the value fails
+ *  the old value is kept for this time period after it expires
  * @property {function(any):(Promise<any> | any)} fromJSON function to parse value fetched from cache
  * @property {function(any):(Promise<any> | any)} process function to process value before saving in both cache & localCache
  * @property {function(any):(any)} [toJSON]
  *  fn to convert the value to JSON before saving into cache
  * @property {any} default default value to return in case if value is undefined
+ * @property {Array<string>} [tags]
+ *  tags of the value, all the values having a tag can be invalidated using invalidateTags
+ * @property {any} [serializer] serializer to store the value with (backend specific)
+ * @property {any} [compression] compression options (backend specific)
+ */
+
+/**
+ * @typedef {object} CacheBatchOpts
+ * @property {number} [concurrency=16] max number of keys to read / write in parallel
+ * @property {any} [default] default value for the keys that are not found
  */
 
 /**
@@ -101,6 +546,15 @@ class CacheBackend {
 		this.CacheClass = this.cache.constructor;
 	}
 
+	/**
+	 * where the values are stored (eg. directory)
+	 * same keys in different locations are independent of each other
+	 * @type {string}
+	 */
+	get location() {
+		return '';
+	}
+
 	/**
 	 * get the value from the real cache
 	 * @param {string} [key] key to get
@@ -121,6 +575,30 @@ class CacheBackend {
 		return null;
 	}
 
+	/**
+	 * get multiple values from the real cache
+	 * backends can override this to get the values more efficiently
+	 * @param {Array<string>} [keys] keys to get
+	 * @param {object} [options]
+	 * @param {number} [options.concurrency] max number of keys to get in parallel
+	 * @returns {Promise<Array<CacheValue>>} value objects in the same order as keys
+	 */
+	async getMany(keys, {concurrency = BATCH_CONCURRENCY} = {}) {
+		return mapLimit(keys, concurrency, key => this.get(key));
+	}
+
+	/**
+	 * set multiple values in the real cache
+	 * backends can override this to set the values more efficiently
+	 * @param {Array<{key: string, value: any} & CacheSetRealOptions>} [entries] entries to set
+	 * @param {object} [options]
+	 * @param {number} [options.concurrency] max number of keys to set in parallel
+	 * @returns {Promise<any>}
+	 */
+	async setMany(entries, {concurrency = BATCH_CONCURRENCY} = {}) {
+		return mapLimit(entries, concurrency, ({key, value, ...opts}) => this.set(key, value, opts));
+	}
+
 	/**
 	 * check whether the cache has a value
 	 * @param {string} [key] key to check
@@ -139,6 +617,18 @@ class CacheBackend {
 		return false;
 	}
 
+	/**
+	 * delete multiple keys from the real cache
+	 * backends can override this to delete the keys more efficiently
+	 * @param {Array<string>} [keys] keys to delete
+	 * @param {object} [options]
+	 * @param {number} [options.concurrency] max number of keys to delete in parallel
+	 * @returns {Promise<any>}
+	 */
+	async delMany(keys, {concurrency = BATCH_CONCURRENCY} = {}) {
+		return mapLimit(keys, concurrency, key => this.del([key]));
+	}
+
 	/**
 	 * clear the cache
 	 * @param {Array<string>} [keys] keys to delete
@@ -149,21 +639,120 @@ class CacheBackend {
 	}
 
 	/**
-	 * mark the keys as stale
-	 * @param {Array<string>} [keys] keys to mark stale
-	 * @returns {Promise<boolean>}
+	 * update the created time / ttl of the keys, or mark them as stale
+	 * @param {Array<string>} [keys] keys to touch
+	 * @param {object} [options]
+	 * @param {number} [options.t] new ttl (default: keep)
+	 * @param {number} [options.c] new created time (default: keep)
+	 * @param {boolean} [options.stale] mark the keys stale (true) or fresh (false) (default: keep)
+	 * @returns {Promise<number>} number of keys touched
 	 */
-	async touch(keys, {t, c} = {}) {
-		return false;
+	async touch(keys, {t, c, stale} = {}) {
+		return 0;
+	}
+
+	/**
+	 * get the value without the actual value (only created time, ttl and other metadata)
+	 * @param {string} key
+	 * @returns {Promise<CacheValue|undefined>}
+	 */
+	async head(key) {
+		return this.get(key);
+	}
+
+	/**
+	 * set a value (a buffer) from a stream, without keeping it in memory
+	 * @param {string} [key] key to set
+	 * @param {AsyncIterable<Buffer>} [stream]
+	 * @param {CacheSetRealOptions}
+	 * @returns {Promise<void>}
+	 */
+	async setStream(key, stream, {t, c} = {}) {
+		throw new Error(`${this.constructor.name} does not support streams`);
+	}
+
+	/**
+	 * get a value (a buffer) as a stream, without reading it into memory
+	 * @param {string} [key] key to get
+	 * @returns {Promise<{val: CacheValue, stream: import('stream').Readable}|undefined>}
+	 *  val is the metadata (without v)
+	 */
+	async getStream(key) {
+		throw new Error(`${this.constructor.name} does not support streams`);
+	}
+
+	/**
+	 * delete all the expired keys under a key path
+	 * @param {string} [keyPath] key path to prune
+	 * @returns {Promise<PruneResult>}
+	 */
+	async prune(keyPath) {
+		return {entries: 0, bytes: 0};
+	}
+
+	/**
+	 * acquire a lock on the key that is shared between processes
+	 * @param {string} [key] key to lock
+	 * @returns {Promise<function():Promise<void>|null>}
+	 *  function to release the lock, or null if the lock is held by someone else
+	 */
+	async lock(key) {
+		return _noop;
+	}
+
+	/**
+	 * list all the entries under a key path
+	 * @param {string} [keyPath] key path to scan
+	 * @param {object} [options]
+	 * @param {boolean} [options.values=false] include the values too
+	 * @returns {AsyncGenerator<CacheEntry>}
+	 */
+	async* scan(keyPath, {values = false} = {}) {}
+
+	/**
+	 * delete (or mark stale) all the keys having any of the given tags
+	 * @param {Array<string>} tags
+	 * @param {object} [options]
+	 * @param {boolean} [options.stale=false] mark the keys stale instead of deleting them
+	 * @returns {Promise<Array<string|null>>} keys that were invalidated (null if a key is not known)
+	 */
+	async invalidateTags(tags, {stale = false} = {}) {
+		return [];
 	}
 }
 
 
-class BaseCache {
+/**
+ * @typedef {object} CacheStats
+ * @property {string} prefix
+ * @property {string} location where the values are stored (eg. directory)
+ * @property {number} hits number of values found in the cache
+ * @property {number} misses number of values not found in the cache
+ * @property {number} staleHits number of stale values returned (and regenerated in background)
+ * @property {number} sets number of values set
+ * @property {number} refreshes number of values regenerated in background
+ * @property {number} errors number of errors (including errors in generating values)
+ * @property {number} expired number of expired values deleted
+ * @property {number} evicted number of values evicted because of size limits
+ * @property {number} corrupt number of corrupt values found
+ * @property {number} bytesRead bytes read from the real cache
+ * @property {number} bytesWritten bytes written to the real cache
+ * @property {{count: number, sum: number, avg: number}} getTime time taken (in ms) by gets from the real cache
+ * @property {{count: number, sum: number, avg: number}} setTime time taken (in ms) by sets in the real cache
+ */
+
+/**
+ * events: hit, miss, set, expire, evict, error, refresh
+ */
+class BaseCache extends EventEmitter {
     static logger = console;
     static _bypass = false;
 	static CACHE_ID = 'HC';
     static GLOBAL_PREFIX = 'a';
+    // default options for the local (in memory) cache, null = disabled
+    static localCache = null;
+	// max number of background refreshes running at a time (0 = no limit)
+	static backgroundConcurrency = 0;
 	// Backend need to be overridden for each implmeneting class
     static Backend = CacheBackend;
 
@@ -180,9 +769,11 @@ class BaseCache {
 	 * @param {BaseCacheOptions} [options={}] Cache Options
 	 */
 	constructor(prefix, options = {}) {
+		super();
         const cls = this.constructor;
 		this.KEY_SEPARATOR = cls.KEY_SEPARATOR;
 		this.prefix = prefix;
+		this.options = options;
         this.logger = options.logger ?? cls.logger;
 		this.keyPath = [
 			cls.CACHE_ID,
@@ -192,10 +783,127 @@ class BaseCache {
 		this.backend = new cls.Backend({
 			cache: this,
 		});
+
+		const localCacheOpts = options.localCache ?? cls.localCache;
+		if (localCacheOpts) {
+			const localCacheKey = `${this.backend.location}\n${this.keyPath}`;
+			if (!localCaches.has(localCacheKey)) {
+				localCaches.set(localCacheKey, new LocalCache(localCacheOpts === true ? {} : localCacheOpts));
+			}
+			this.localCache = localCaches.get(localCacheKey);
+		}
+		else {
+			this.localCache = null;
+		}
+
+		const statsKey = `${this.backend.location}\n${this.keyPath}`;
+		if (!allStats.has(statsKey)) {
+			allStats.set(statsKey, createStats(this.prefix, this.backend.location));
+		}
+		this._stats = allStats.get(statsKey);
+
+		if (options.pruneInterval) {
+			this.startPruning(options.pruneInterval);
+		}
+	}
+
+	/**
+	 * record a stat of the prefix
+	 * @param {string} name name of the counter
+	 * @param {number} [value=1] value to add
+	 */
+	_record(name, value = 1) {
+		this._stats[name] += value;
+	}
+
+	_recordTime(name, start) {
+		const time = this._stats[name];
+		time.count++;
+		time.sum += Date.now() - start;
+	}
+
+	/**
+	 * emit an event (error is only emitted if someone is listening, to avoid throwing)
+	 * @param {string} event
+	 * @param {object} data
+	 */
+	_emit(event, data) {
+		if (event === 'error' && !this.listenerCount('error')) return;
+		this.emit(event, data);
+	}
+
+	_error(error, key) {
+		this._record('errors');
+		this._emit('error', {prefix: this.prefix, key, error});
+	}
+
+	/**
+	 * gets the stats of this prefix (shared by all the instances with the same prefix)
+	 * @returns {CacheStats}
+	 */
+	stats() {
+		return this.constructor._formatStats(this._stats);
+	}
+
+	static _formatStats(stats) {
+		const format = ({count, sum}) => ({count, sum, avg: count ? sum / count : 0});
+		return {
+			...stats,
+			getTime: format(stats.getTime),
+			setTime: format(stats.setTime),
+		};
+	}
+
+	/**
+	 * gets the stats of all the prefixes of this cache class
+	 * @returns {Array<CacheStats>}
+	 */
+	static stats() {
+		const keyPrefix = `${this.CACHE_ID}${this.KEY_SEPARATOR}`;
+		const result = [];
+		for (const [statsKey, stats] of allStats) {
+			const keyPath = statsKey.substring(statsKey.indexOf('\n') + 1);
+			if (keyPath.startsWith(keyPrefix)) {
+				result.push(this._formatStats(stats));
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * gets the stats of all the prefixes in prometheus text format
+	 * @example
+	 * app.get('/metrics', (req, res) => res.type('text/plain').send(FileCache.prometheus()));
+	 * @param {object} [options]
+	 * @param {string} [options.prefix] prefix of the metric names (default: snake cased class name)
+	 * @returns {string}
+	 */
+	static prometheus({prefix = snakeCase(this.name)} = {}) {
+		const allPrefixStats = this.stats();
+		const lines = [];
+		const labels = stats => `prefix="${escapeLabel(stats.prefix)}",location="${escapeLabel(stats.location)}"`;
+		Object.entries(STAT_COUNTERS).forEach(([name, help]) => {
+			const metric = `${prefix}_${snakeCase(name)}_total`;
+			lines.push(`# HELP ${metric} ${help}`);
+			lines.push(`# TYPE ${metric} counter`);
+			allPrefixStats.forEach((stats) => {
+				lines.push(`${metric}{${labels(stats)}} ${stats[name]}`);
+			});
+		});
+		[['getTime', 'get'], ['setTime', 'set']].forEach(([name, op]) => {
+			const metric = `${prefix}_${op}_duration_seconds`;
+			lines.push(`# HELP ${metric} time taken by ${op} operations in the real cache`);
+			lines.push(`# TYPE ${metric} summary`);
+			allPrefixStats.forEach((stats) => {
+				lines.push(`${metric}_sum{${labels(stats)}} ${stats[name].sum / 1000}`);
+				lines.push(`${metric}_count{${labels(stats)}} ${stats[name].count}`);
+			});
+		});
+		return lines.join('\n') + '\n';
 	}
 
 	_fetching(map, key, value) {
-		const prefixedKey = this._key(key);
+		const prefixedKey = `${this.backend.location}\n${this._key(key)}`;
 		if (value === undefined) {
 			return map.get(prefixedKey);
 		}
@@ -224,6 +932,14 @@ class BaseCache {
 		return this._fetching(getOrSettingStale, key, value);
 	}
 
+	_streaming(key, value) {
+		return this._fetching(streaming, key, value);
+	}
+
+	_updating(key, value) {
+		return this._fetching(updating, key, value);
+	}
+
     /**
      * get prefixed key
      * @param {string} key 
@@ -233,39 +949,111 @@ class BaseCache {
 		return `${this.keyPath}${this.KEY_SEPARATOR}${key}`;
 	}
 
+    /**
+     * delete the value if it is expired
+     * @param {string} key
+     * @param {CacheValue} val
+     * @returns {CacheValue|undefined} undefined if the value is expired
+     */
+    _checkExpired(key, val) {
+        if (val && val.t) {
+            const expiredAt = val.c + val.t;
+            if (expiredAt < Date.now()) {
+                // keep the value around in case generating a new value fails
+                if (val.e && expiredAt + val.e >= Date.now()) return undefined;
+                this._record('expired');
+                this._emit('expire', {prefix: this.prefix, key});
+                this._del(key);
+                return undefined;
+            }
+        }
+        return val;
+    }
+
     async _get(key) {
+        const start = Date.now();
         try {
             const val = await this.backend.get(this._key(key));
-            if (val && val.t) {
-                if (val.c < Date.now() - val.t) {
-                    this._del(key);
-                    return undefined;
-                }
-            }
-            return val;
+            this._recordTime('getTime', start);
+            return this._checkExpired(key, val);
         }
         catch (e) {
             this.logger.error(e);
+            this._error(e, key);
             return undefined;
         }
     }
 
-    async _set(key, value, ttl, createdAt) {
+    async _getMany(keys, concurrency) {
+        const start = Date.now();
+        try {
+            const vals = await this.backend.getMany(keys.map(k => this._key(k)), {concurrency});
+            // a batch is timed as a single get from the real cache
+            this._recordTime('getTime', start);
+            return vals.map((val, i) => this._checkExpired(keys[i], val));
+        }
+        catch (e) {
+            this.logger.error(e);
+            this._error(e);
+            return keys.map(() => undefined);
+        }
+    }
+
+    async _setMany(entries, ttl, createdAt, {tags, staleIfError, sliding, serializer, compression, concurrency} = {}) {
+        const start = Date.now();
+        try {
+            await this.backend.setMany(entries.map(([key, value]) => ({
+                key: this._key(key),
+                value,
+                t: ttl,
+                c: createdAt,
+                g: tags,
+                e: parseTTL(staleIfError) || undefined,
+                l: sliding || undefined,
+                serializer,
+                compression,
+            })), {concurrency});
+            // a batch is timed as a single set in the real cache
+            this._recordTime('setTime', start);
+            this._record('sets', entries.length);
+            entries.forEach(([key]) => this._emit('set', {prefix: this.prefix, key}));
+            return true;
+        }
+        catch (e) {
+            this.logger.error(e);
+            this._error(e);
+            return false;
+        }
+    }
+
+    async _set(key, value, ttl, createdAt, {tags, staleIfError, sliding, originalTTL, serializer, compression} = {}) {
         if (value === undefined) return true;
+        const start = Date.now();
         try {
             await this.backend.set(this._key(key), value, {
                 t: ttl, 
                 c: createdAt || Date.now(),
+                g: tags,
+                e: staleIfError || undefined,
+                l: sliding || undefined,
+                o: originalTTL,
+                serializer,
+                compression,
             });
+            this._recordTime('setTime', start);
+            this._record('sets');
+            this._emit('set', {prefix: this.prefix, key});
             return true;
         }
         catch (e) {
             this.logger.error(e);
+            this._error(e, key);
             return false;
         }
     }
 
     async _has(key) {
+        if (this.localCache && this.localCache.get(key)) return true;
         try {
             return this.backend.has(this._key(key));
         }
@@ -275,43 +1063,219 @@ class BaseCache {
         }
     }
 
-    async _del(key) {
-		const keys = (Array.isArray(key) ? key : [key]).map(k => this._key(k));
-        try  {
-            await this.backend.del(keys);
+    async _del(key, concurrency) {
+		const userKeys = Array.isArray(key) ? key : [key];
+		if (this.localCache) {
+			userKeys.forEach(k => this.localCache.delete(k));
+		}
+		const keys = userKeys.map(k => this._key(k));
+        try  {
+            if (keys.length > 1) await this.backend.delMany(keys, {concurrency});
+            else await this.backend.del(keys);
+        }
+        catch (e) {
+            this.logger.error(e);
+        }
+	}
+
+    async _markStale(key) {
+        const userKeys = Array.isArray(key) ? key : [key];
+        if (this.localCache) {
+            // next read will get it from the real cache
+            userKeys.forEach(k => this.localCache.delete(k));
+        }
+        const keys = userKeys.map(k => this._key(k));
+        try {
+            await this.backend.touch(keys, {stale: true});
+        }
+        catch (e) {
+            this.logger.error(e);
+        }
+    }
+
+    async _clear(keyPath) {
+        if (this.localCache) {
+            if (keyPath === undefined) this.localCache.clear();
+            else this.localCache.deleteByPrefix(keyPath + this.KEY_SEPARATOR);
+        }
+        try {
+            await this.backend.clear((keyPath === undefined) ? this.keyPath : this._key(keyPath));
+        }
+        catch (e) {
+            this.logger.error(e);
+        }
+	}
+
+    /**
+     * try to acquire the cross process lock of a key
+     * @param {string} key
+     * @returns {Promise<function():Promise<void>|null>} release function or null if already locked
+     */
+    async _tryLock(key) {
+        try {
+            return await this.backend.lock(this._key(key));
+        }
+        catch (e) {
+            // don't block generation of the value if locking fails
+            this.logger.error(e);
+            return _noop;
+        }
+    }
+
+    /**
+     * acquire the cross process lock of a key, waiting if some other process holds it
+     * @param {string} key
+     * @returns {Promise<{release: function():Promise<void>, waited: boolean}>}
+     */
+    async _lock(key) {
+        let waited = false;
+        for (;;) {
+            const release = await this._tryLock(key);
+            if (release) return {release, waited};
+            waited = true;
+            await sleep(LOCK_RETRY_INTERVAL);
+        }
+    }
+
+    /**
+     * run fn while holding the lock of a key, calls for the same key are queued in process
+     * and the cross process lock is held while fn runs
+     * @param {string} key
+     * @param {function():Promise<any>} fn
+     * @returns {Promise<any>}
+     */
+    async _withLock(key, fn) {
+        const previous = this._updating(key) || Promise.resolve();
+        let done;
+        const current = previous.then(() => new Promise((resolve) => { done = resolve; }));
+        this._updating(key, current);
+        await previous;
+        try {
+            const {release} = await this._lock(key);
+            try {
+                return await fn();
+            }
+            finally {
+                await release();
+            }
+        }
+        finally {
+            done();
+            if (this._updating(key) === current) this._updating(key, DELETE);
+        }
+    }
+
+    /**
+     * restart the lifetime of a sliding value that was just read
+     * the expiry is extended, the created time is kept (so that it still gets stale after staleTTL)
+     * @param {string} key
+     * @param {CacheValue} val value read from the local or real cache
+     */
+    _slide(key, val) {
+        if (!val.l || !val.t) return;
+        const now = Date.now();
+        if (!val.o) val.o = val.t;
+        // time of the last touch
+        if (now - (val.c + val.t - val.o) < val.o * SLIDING_TOUCH_RATIO) return;
+        val.t = now - val.c + val.o;
+        this.backend.touch([this._key(key)], {t: val.t}).catch((e) => {
+            this.logger.error(e);
+        });
+    }
+
+    async _invalidateTags(tags, stale) {
+        try {
+            const keys = await this.backend.invalidateTags(Array.isArray(tags) ? tags : [tags], {stale});
+            // tags are shared between prefixes, so remove the keys from all the local caches
+            this._deleteLocal(keys.filter(key => typeof key === 'string'));
+            return keys.length;
         }
         catch (e) {
             this.logger.error(e);
+            return 0;
         }
-	}
+    }
 
-    async _markStale(key) {
-        const keys = (Array.isArray(key) ? key : [key]).map(k => this._key(k));
-        try {
-            await this.backend.touch(keys, {c: 0});
-        }
-        catch (e) {
-            this.logger.error(e);
+    /**
+     * remove keys of the real cache from all the local caches (of all the prefixes) using the same location
+     * @param {Array<string>} keys full keys (with the key path)
+     */
+    _deleteLocal(keys) {
+        for (const [localCacheKey, localCache] of localCaches) {
+            const keyPrefix = `${localCacheKey}${this.KEY_SEPARATOR}`;
+            if (!keyPrefix.startsWith(`${this.backend.location}\n`)) continue;
+            keys.forEach((key) => {
+                const fullKey = `${this.backend.location}\n${key}`;
+                if (fullKey.startsWith(keyPrefix)) {
+                    localCache.delete(fullKey.substring(keyPrefix.length));
+                }
+            });
         }
     }
 
-    async _clear() {
+    async _prune() {
         try {
-            await this.backend.clear(this.keyPath);
+            const result = await this.backend.prune(this.keyPath);
+            this._record('expired', result.entries);
+            return result;
         }
         catch (e) {
             this.logger.error(e);
+            return {entries: 0, bytes: 0};
         }
-	}
+    }
 
     async _setBoth(key, value, options = {}) {
 		if (value === undefined) return undefined;
 		const ttl = parseTTL((typeof options === 'object') ? options.ttl : options);
 		const localVal = options.process ? (await options.process(value)) : value;
-		await this._set(key, value, ttl, Date.now());
+		const createdAt = Date.now();
+		const storedVal = options.toJSON ? (await options.toJSON(value)) : value;
+		await this._set(key, storedVal, ttl, createdAt, {
+			tags: options.tags,
+			staleIfError: parseTTL(options.staleIfError),
+			sliding: options.sliding,
+			serializer: options.serializer,
+			compression: options.compression,
+		});
+		if (this.localCache) {
+			this.localCache.set(key, localVal, {t: ttl, c: createdAt, l: options.sliding});
+		}
 		return localVal;
 	}
 
+	/**
+	 * parse & process a value fetched from the real cache
+	 * @param {string} key
+	 * @param {CacheValue} value
+	 * @param {CacheGetOpts} options
+	 * @param {object} ctx
+	 * @returns {Promise<any>}
+	 */
+	async _processValue(key, value, options, ctx = {}) {
+		if (value === undefined) {
+			this._record('misses');
+			this._emit('miss', {prefix: this.prefix, key});
+			return value;
+		}
+		setCtxStale(ctx, value);
+		this._record('hits');
+		this._emit('hit', {prefix: this.prefix, key});
+		this._slide(key, value);
+
+		let val = value.v;
+		if (options.fromJSON) {
+			val = await options.fromJSON(val);
+		}
+		if (options.process) {
+			val = await options.process(val);
+		}
+		if (this.localCache) {
+			this.localCache.set(key, val, value);
+		}
+		return val;
+	}
+
 	/**
 	 * gets a value from the cache immediately without waiting
 	 * @param {string} key
@@ -320,6 +1284,17 @@ class BaseCache {
 	 * @returns {Promise<any>}
 	 */
 	async getStale(key, defaultValue = undefined, options = {}, ctx = {}) {
+        if (this.localCache) {
+            const localValue = this.localCache.get(key);
+            if (localValue) {
+                setCtxStale(ctx, localValue);
+                this._record('hits');
+                this._emit('hit', {prefix: this.prefix, key, local: true});
+                this._slide(key, localValue);
+                return localValue.v;
+            }
+        }
+
         const gettingPromise = this._getting(key);
         if (gettingPromise) {
             const value = await gettingPromise;
@@ -327,19 +1302,7 @@ class BaseCache {
             return value;
         }
 
-        const promise = this._get(key).then(async (value) => {
-            if (value === undefined) return value;
-            setCtxStale(ctx, value);
-
-            let val = value.v;
-            if (options.fromJSON) {
-                val = await options.fromJSON(val);
-            }
-            if (options.process) {
-                val = await options.process(val);
-            }
-            return val;
-        });
+        const promise = this._get(key).then(value => this._processValue(key, value, options, ctx));
 
         this._getting(key, promise);
         const value = await promise;
@@ -361,10 +1324,123 @@ class BaseCache {
 		if (settingPromise) {
 			return _withDefault(settingPromise, defaultValue);
 		}
+		await this._waitForStream(key);
 
 		return this.getStale(key, defaultValue, options);
 	}
 
+	/**
+	 * gets multiple values from the cache
+	 * @example
+	 * const [a, b] = await cache.getMany(['a', 'b']);
+	 * @param {Array<string>} keys
+	 * @param {CacheGetOpts & CacheBatchOpts} [options]
+	 * @returns {Promise<Array<any>>} values in the same order as keys
+	 */
+	async getMany(keys, options = {}) {
+		const values = new Array(keys.length);
+		const missingKeys = [];
+		const missingIndexes = [];
+		keys.forEach((key, i) => {
+			const localValue = this.localCache && this.localCache.get(key);
+			if (localValue) {
+				values[i] = localValue.v;
+				this._record('hits');
+				this._emit('hit', {prefix: this.prefix, key, local: true});
+			}
+			else {
+				missingKeys.push(key);
+				missingIndexes.push(i);
+			}
+		});
+
+		if (missingKeys.length) {
+			const fetched = await this._getMany(missingKeys, options.concurrency);
+			await Promise.all(fetched.map(async (value, i) => {
+				values[missingIndexes[i]] = await this._processValue(missingKeys[i], value, options);
+			}));
+		}
+
+		return values.map(value => ((value === undefined) ? options.default : value));
+	}
+
+	/**
+	 * sets multiple values in the cache
+	 * @example
+	 * await cache.setMany({a: 1, b: 2}, {ttl: '1h'});
+	 * await cache.setMany([['a', 1], ['b', 2]]);
+	 * @param {object|Map<string, any>|Array<Array<any>>} entries keys & values to set
+	 * @param {number|string|CacheSetOpts & CacheBatchOpts} [options={}] ttl in ms/timestring('1d 3h')
+	 * or opts (default: 0)
+	 * @return {Promise<boolean>}
+	 */
+	async setMany(entries, options = {}) {
+		const result = await this._setBothMany(toEntries(entries), options);
+		return result.success;
+	}
+
+	async _setBothMany(entries, options = {}) {
+		if (typeof options !== 'object') options = {ttl: options};
+		const ttl = parseTTL(options.ttl);
+		const createdAt = Date.now();
+		const toSet = entries.filter(([, value]) => value !== undefined);
+		const stored = await Promise.all(toSet.map(async ([key, value]) => [
+			key,
+			options.toJSON ? (await options.toJSON(value)) : value,
+		]));
+		const success = await this._setMany(stored, ttl, createdAt, options);
+
+		const localVals = await Promise.all(toSet.map(async ([key, value]) => {
+			const localVal = options.process ? (await options.process(value)) : value;
+			if (this.localCache) {
+				this.localCache.set(key, localVal, {t: ttl, c: createdAt, l: options.sliding});
+			}
+			return localVal;
+		}));
+		const processed = new Map(toSet.map(([key], i) => [key, localVals[i]]));
+		return {success, processed};
+	}
+
+	/**
+	 * gets multiple values from the cache, generating the missing ones in a single call
+	 * @example
+	 * const users = await cache.getOrSetMany(ids, async (missingIds) => {
+	 *   return db.getUsersByIds(missingIds);
+	 * }, {ttl: '1h'});
+	 * @param {Array<string>} keys
+	 * @param {function(Array<string>):Promise<Array<any>|object|Map<string, any>>} batchFn
+	 *  gets the missing keys, returns their values (in the same order or by key)
+	 * @param {number|string|CacheSetOpts & CacheBatchOpts} [options={}]
+	 * @returns {Promise<Array<any>>} values in the same order as keys
+	 */
+	async getOrSetMany(keys, batchFn, options = {}) {
+		if (typeof options !== 'object') options = {ttl: options};
+		if (this.isBypassed()) {
+			const generated = toValuesMap(keys, await batchFn(keys));
+			return keys.map((key) => {
+				const value = generated.get(key);
+				return (value === undefined) ? options.default : value;
+			});
+		}
+
+		const values = options.forceUpdate ?
+			new Array(keys.length).fill(undefined) :
+			await this.getMany(keys, {...options, default: undefined});
+		const missingKeys = [...new Set(keys.filter((key, i) => values[i] === undefined))];
+		if (missingKeys.length) {
+			const generated = toValuesMap(missingKeys, await batchFn(missingKeys));
+			const {processed} = await this._setBothMany(
+				missingKeys.map(key => [key, generated.get(key)]),
+				options,
+			);
+			keys.forEach((key, i) => {
+				if (values[i] === undefined) values[i] = processed.get(key);
+			});
+		}
+
+		return values.map(value => ((value === undefined) ? options.default : value));
+	}
+
     /**
 	 * checks if a key exists in the cache
 	 * @param {string} key
@@ -443,7 +1519,7 @@ class BaseCache {
 			if (typeof value === 'function') {
 				// value is a function
 				// call it and set the result
-				return this.set(key, value(key), options, ctx);
+				return this.set(key, callGenerator(value, key, options), options, ctx);
 			}
 			if (value === undefined) {
 				// don't set undefined value
@@ -460,7 +1536,11 @@ class BaseCache {
 		}
 		catch (error) {
 			this.logger.error(`[${this.constructor.name}] [${this.prefix}] error while setting key ${key}`, error);
-			await this._del(key);
+			this._error(error, key);
+			// keep the old value if it can be served in case of errors / timeouts
+			if (!(options && options.staleIfError) && !isTimeoutError(error)) {
+				await this._del(key);
+			}
 			this._setting(key, DELETE);
 			throw error;
 		}
@@ -478,9 +1558,7 @@ class BaseCache {
 			return options.default;
 		}
 
-		const ctx = {};
-		await this.set(key, value, options, ctx);
-		return (ctx.result === undefined) ? options.default : ctx.result;
+		return this._setWithLock(key, value, options);
 	}
 
 	/**
@@ -507,7 +1585,7 @@ class BaseCache {
 
 		// cache is bypassed, return value directly
 		if (this.isBypassed()) {
-			if (typeof value === 'function') return _withDefaultOpts(value(key), options);
+			if (typeof value === 'function') return _withDefaultOpts(callGenerator(value, key, options), options);
 			return _withDefaultOpts(value, options);
 		}
 
@@ -518,20 +1596,62 @@ class BaseCache {
 
 		const promise = this._getOrSet(key, value, options);
 		this._getOrSetting(key, promise);
-		const result = await promise;
-		this._getOrSetting(key, DELETE);
-		return result;
+		try {
+			return await promise;
+		}
+		finally {
+			this._getOrSetting(key, DELETE);
+		}
 	}
 
 	async _setBackground(key, value, options) {
+		this._refreshBackground(key, () => this.set(key, value, options));
+	}
+
+	/**
+	 * refresh a value in the background (once at a time, in only one process)
+	 * @param {string} key
+	 * @param {function():Promise<any>} refresh logs & emits its own errors
+	 */
+	_refreshBackground(key, refresh) {
 		if (this._getOrSettingStale(key)) return;
 
 		// regenerate value in the background
 		this._getOrSettingStale(key, true);
-		setTimeout(async () => {
-			await this.set(key, value, options).catch((e) => {});
-			this._getOrSettingStale(key, DELETE);
-		}, 0);
+		setTimeout(() => this._backgroundLimiter().run(async () => {
+			try {
+				// some other process is already regenerating the value
+				const release = await this._tryLock(key);
+				if (release) {
+					this._record('refreshes');
+					this._emit('refresh', {prefix: this.prefix, key});
+					await refresh().catch((error) => {
+						// the stale value is served until the next refresh
+						this.logger.error(`[${this.constructor.name}] [${this.prefix}] background refresh of key ${key} failed`, error);
+					});
+					await release();
+				}
+			}
+			catch (e) {
+				this.logger.error(e);
+			}
+			finally {
+				this._getOrSettingStale(key, DELETE);
+			}
+		}), 0);
+	}
+
+	/**
+	 * limiter for the background refreshes of this instance
+	 * @returns {Limiter}
+	 */
+	_backgroundLimiter() {
+		if (this.options.backgroundConcurrency) {
+			if (!this._limiter) this._limiter = new Limiter(this.options.backgroundConcurrency);
+			return this._limiter;
+		}
+		backgroundLimiter.concurrency = this.constructor.backgroundConcurrency;
+		return backgroundLimiter;
 	}
 
 	async _setWithCheck(key, value, options) {
@@ -542,14 +1662,83 @@ class BaseCache {
 
 		// regenerate value in the foreground
 		const setCtx = {};
-		await this.set(key, value, options, setCtx);
+		try {
+			await this.set(key, value, options, setCtx);
+		}
+		catch (error) {
+			const timedOut = isTimeoutError(error);
+			if (timedOut) {
+				this._record('timeouts');
+				this._emit('timeout', {prefix: this.prefix, key});
+			}
+			if (!options.staleIfError && !timedOut) throw error;
+			const oldValue = await this._getStaleIfError(key, options);
+			if (oldValue === undefined) {
+				if (timedOut) return options.default;
+				throw error;
+			}
+			this._record('staleIfErrorHits');
+			this._emit('staleIfError', {prefix: this.prefix, key, error});
+			return oldValue;
+		}
 		return (setCtx.result === undefined) ? options.default : setCtx.result;
 	}
 
+	/**
+	 * get the old value of a key (even if it is expired) if it is within the stale-if-error window
+	 * @param {string} key
+	 * @param {CacheSetOpts} options
+	 * @returns {Promise<any>}
+	 */
+	async _getStaleIfError(key, options) {
+		let val;
+		try {
+			val = await this.backend.get(this._key(key));
+		}
+		catch (e) {
+			this.logger.error(e);
+			return undefined;
+		}
+		if (!val) return undefined;
+		if (val.t) {
+			const window = parseTTL(options.staleIfError) || val.e || 0;
+			if (val.c + val.t + window < Date.now()) return undefined;
+		}
+
+		let v = val.v;
+		if (options.fromJSON) {
+			v = await options.fromJSON(v);
+		}
+		if (options.process) {
+			v = await options.process(v);
+		}
+		return v;
+	}
+
+	async _setWithLock(key, value, options, staleCtx = {}) {
+		// take a lock so that only one process generates the value
+		const {release, waited} = await this._lock(key);
+		try {
+			if (waited) {
+				// some other process generated the value while we were waiting, use it
+				if (this.localCache) this.localCache.delete(key);
+				const ctx = {staleTTL: staleCtx.staleTTL};
+				const existingValue = await this.getStale(key, undefined, options, ctx);
+				if (existingValue !== undefined && !ctx.isStale) {
+					return existingValue;
+				}
+			}
+			return await this._setWithCheck(key, value, options);
+		}
+		finally {
+			await release();
+		}
+	}
+
 	async _getOrSetStale(key, value, options = {}) {
 		// cache is bypassed, return value directly
 		if (this.isBypassed()) {
-			if (typeof value === 'function') return _withDefaultOpts(value(key), options);
+			if (typeof value === 'function') return _withDefaultOpts(callGenerator(value, key, options), options);
 			return _withDefaultOpts(value, options);
 		}
 
@@ -581,18 +1770,194 @@ class BaseCache {
 		}
 
 		if (generateInBg === false) {
+			// some other call of this process is already generating the value, wait for it
+			// (only one of them should contend for the lock of the key)
+			const settingPromise = this._getOrSetting(key);
+			if (settingPromise) {
+				return _withDefault(settingPromise, options.default);
+			}
+
 			// regenerate value in the foreground
-			return this._setWithCheck(key, value, options);
+			const promise = this._setWithLock(key, value, options, ctx);
+			this._getOrSetting(key, promise);
+			try {
+				return await promise;
+			}
+			finally {
+				this._getOrSetting(key, DELETE);
+			}
 		}
 
 		if (generateInBg === true) {
 			// regenerate value in the background
+			if (existingValue !== undefined) {
+				this._record('staleHits');
+			}
 			this._setBackground(key, value, options);
 		}
 
 		return (existingValue === undefined) ? options.default : existingValue;
 	}
 
+    /**
+	 * atomically update a value (read-modify-write), updates of a key are serialized
+	 * between the calls in this process and between the processes sharing the cache
+	 * NOTE: set does not wait for the updates, so don't mix them for the same key
+	 * if ttl is not given, the existing ttl & created time (and tags etc.) of the value are kept,
+	 * otherwise the value expires after ttl from now (like set)
+	 * @example
+	 * await cache.update('stats', stats => ({...stats, views: (stats?.views || 0) + 1}));
+	 * @param {string} key
+	 * @param {function(any):(Promise<any>|any)} fn gets the current value (undefined if not found)
+	 *  and returns the new value, if it returns undefined the value is not changed
+	 * @param {number|string|CacheSetOpts} [options={}] ttl in ms/timestring('1d 3h') or opts
+	 * @returns {Promise<any>} the new value (or the current value if it is not changed)
+	 */
+	async update(key, fn, options = {}) {
+		if (typeof options !== 'object') options = {ttl: options};
+		return this._withLock(key, async () => {
+			// always read from the real cache, the local cache may be outdated
+			const val = await this._get(key);
+			let current = val && val.v;
+			if (current !== undefined && options.fromJSON) {
+				current = await options.fromJSON(current);
+			}
+
+			const next = await fn(current);
+			if (next === undefined) return current;
+
+			const keepMeta = Boolean(val) && options.ttl === undefined;
+			const ttl = keepMeta ? val.t : parseTTL(options.ttl);
+			const createdAt = keepMeta ? val.c : Date.now();
+			const storedVal = options.toJSON ? (await options.toJSON(next)) : next;
+			const success = await this._set(key, storedVal, ttl, createdAt, {
+				tags: options.tags ?? (val && val.g),
+				staleIfError: (options.staleIfError === undefined) ? (val && val.e) : parseTTL(options.staleIfError),
+				sliding: options.sliding ?? (val && val.l),
+				originalTTL: keepMeta ? val.o : undefined,
+				serializer: options.serializer ?? (val && val.s),
+				compression: options.compression,
+			});
+			if (this.localCache) this.localCache.delete(key);
+			if (!success) {
+				throw new Error(`[${this.constructor.name}] [${this.prefix}] could not update key ${key}`);
+			}
+			return next;
+		});
+	}
+
+    /**
+	 * atomically increment a number
+	 * @example
+	 * await cache.incr('visits'); // => 1
+	 * await cache.incr('visits', 10); // => 11
+	 * @param {string} key
+	 * @param {number} [by=1] number to add (can be negative)
+	 * @param {number|string|CacheSetOpts} [options={}] ttl in ms/timestring('1d 3h') or opts
+	 * (see update for ttl handling)
+	 * @returns {Promise<number>} the new value
+	 */
+	async incr(key, by = 1, options = {}) {
+		return this.update(key, (current = 0) => {
+			if (typeof current !== 'number') {
+				throw new TypeError(`[${this.constructor.name}] [${this.prefix}] value of key ${key} is not a number`);
+			}
+			return current + by;
+		}, options);
+	}
+
+    /**
+	 * atomically set a value only if the current value is equal to expected
+	 * values are compared deeply (the way memoize compares arguments)
+	 * @example
+	 * const job = await cache.get('job');
+	 * const swapped = await cache.compareAndSet('job', job, {...job, status: 'running'});
+	 * @param {string} key
+	 * @param {any} expected expected current value (undefined = key should not exist)
+	 * @param {any} next new value
+	 * @param {number|string|CacheSetOpts} [options={}] ttl in ms/timestring('1d 3h') or opts
+	 * (see update for ttl handling)
+	 * @returns {Promise<boolean>} whether the value was set
+	 */
+	async compareAndSet(key, expected, next, options = {}) {
+		const expectedKey = stableStringify(expected);
+		let swapped = false;
+		await this.update(key, (current) => {
+			if (stableStringify(current) !== expectedKey) return undefined;
+			swapped = true;
+			return next;
+		}, options);
+		return swapped;
+	}
+
+    /**
+	 * restart the lifetime of a value (it expires after its ttl from now)
+	 * NOTE: the created time is kept, so this does not make a stale value fresh (staleTTL)
+	 * @param {string} key
+	 * @returns {Promise<boolean>} false if the key does not exist
+	 */
+	async touch(key) {
+		return this._touch(key, val => ({t: extendTTL(val, val.o || val.t)}));
+	}
+
+    /**
+	 * set a new ttl of a value (from now), without rewriting the value
+	 * NOTE: the created time is kept (staleTTL is still counted from it),
+	 * sliding values are extended by their original ttl when they are read
+	 * @example
+	 * await cache.expire('session', '30m');
+	 * await cache.expire('session', 0); // never expire
+	 * @param {string} key
+	 * @param {number|string} ttl in ms / timestring ('1d 3h'), 0 = never expire
+	 * @returns {Promise<boolean>} false if the key does not exist
+	 */
+	async expire(key, ttl) {
+		return this._touch(key, val => ({t: extendTTL(val, parseTTL(ttl) || 0)}));
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {{c: number, t: number, stale: boolean}|function(CacheValue):object} times
+	 *  new times of the value (or a fn of the current value returning them), see CacheBackend.touch
+	 * @returns {Promise<boolean>}
+	 */
+	async _touch(key, times) {
+		if (this.localCache) this.localCache.delete(key);
+		try {
+			// don't bring expired values back to life
+			const val = await this.backend.head(this._key(key));
+			if (!val || (val.t && val.c + val.t < Date.now())) return false;
+			const newTimes = (typeof times === 'function') ? times(val) : times;
+			return (await this.backend.touch([this._key(key)], newTimes)) > 0;
+		}
+		catch (e) {
+			this.logger.error(e);
+			this._error(e, key);
+			return false;
+		}
+	}
+
+    /**
+	 * gets the remaining time to live of a value
+	 * @param {string} key
+	 * @returns {Promise<number|undefined>} time left in ms,
+	 * Infinity if the value never expires, undefined if the key does not exist (or is expired)
+	 */
+	async ttlOf(key) {
+		let val;
+		try {
+			val = await this.backend.head(this._key(key));
+		}
+		catch (e) {
+			this.logger.error(e);
+			return undefined;
+		}
+		if (!val) return undefined;
+		if (!val.t) return Infinity;
+		const left = val.c + val.t - Date.now();
+		return (left < 0) ? undefined : left;
+	}
+
     /**
 	 * deletes a value from the cache
 	 * @param {string|Array<string>} key
@@ -601,6 +1966,15 @@ class BaseCache {
 		await this._del(key);
 	}
 
+    /**
+	 * deletes multiple values from the cache
+	 * @param {Array<string>} keys
+	 * @param {CacheBatchOpts} [options]
+	 */
+	async delMany(keys, options = {}) {
+		await this._del(keys, options.concurrency);
+	}
+
     /**
 	 * set the key as stale (will cause staleTTL to recompute in background)
 	 * @param {string|Array<string>} key
@@ -609,6 +1983,27 @@ class BaseCache {
 		await this._markStale(key);
 	}
 
+    /**
+	 * deletes all the values having any of the given tags (in all the prefixes)
+	 * @example
+	 * await cache.set('user:42:profile', profile, {tags: ['user:42']});
+	 * await cache.invalidateTags(['user:42']);
+	 * @param {string|Array<string>} tags
+	 * @returns {Promise<number>} number of values deleted
+	 */
+	async invalidateTags(tags) {
+		return this._invalidateTags(tags, false);
+	}
+
+    /**
+	 * marks all the values having any of the given tags (in all the prefixes) as stale
+	 * @param {string|Array<string>} tags
+	 * @returns {Promise<number>} number of values marked stale
+	 */
+	async markStaleByTags(tags) {
+		return this._invalidateTags(tags, true);
+	}
+
     /**
 	 * clears the cache (deletes all keys)
 	 * NOTE: this method might be expensive, so don't use it unless absolutely necessary
@@ -617,29 +2012,258 @@ class BaseCache {
 		await this._clear();
 	}
 
+    /**
+	 * deletes all the expired keys from the cache to reclaim space
+	 * expired keys are otherwise only deleted when they are read
+	 * @returns {Promise<PruneResult>}
+	 */
+	async prune() {
+		if (this._pruning) return this._pruning;
+		this._pruning = this._prune();
+		try {
+			return await this._pruning;
+		}
+		finally {
+			this._pruning = null;
+		}
+	}
+
+	/**
+	 * prune the cache periodically
+	 * NOTE: the timer does not keep the process alive
+	 * @param {number|string} interval in ms / timestring ('1h')
+	 */
+	startPruning(interval) {
+		this.stopPruning();
+		this._pruneTimer = setInterval(() => this.prune(), parseTTL(interval));
+		this._pruneTimer.unref();
+	}
+
+	/**
+	 * stop pruning the cache periodically
+	 */
+	stopPruning() {
+		if (!this._pruneTimer) return;
+		clearInterval(this._pruneTimer);
+		this._pruneTimer = null;
+	}
+
+	/**
+	 * iterates over all the (unexpired) entries in the cache
+	 * @example
+	 * for await (const {key, ttl} of cache.iterate({pattern: 'user:*'})) {
+	 *   console.log(key, ttl);
+	 * }
+	 * @param {CacheKeysOpts} [options]
+	 * @returns {AsyncGenerator<CacheEntryInfo>}
+	 */
+	async* iterate(options = {}) {
+		const keyPrefix = `${this.keyPath}${this.KEY_SEPARATOR}`;
+		const regex = options.pattern ? globToRegExp(options.pattern) : null;
+		for await (const entry of this.backend.scan(this.keyPath, {values: options.values})) {
+			if (!entry.key.startsWith(keyPrefix)) continue;
+			const key = entry.key.substring(keyPrefix.length);
+			if (options.prefix && !key.startsWith(options.prefix)) continue;
+			if (regex && !regex.test(key)) continue;
+			if (entry.t && entry.c < Date.now() - entry.t) continue;
+
+			const info = {
+				key,
+				createdAt: entry.c,
+				ttl: entry.t || 0,
+				size: entry.size,
+			};
+			if (options.values) info.value = entry.v;
+			yield info;
+		}
+	}
+
+	[Symbol.asyncIterator]() {
+		return this.iterate();
+	}
+
+	/**
+	 * gets all the (unexpired) entries in the cache
+	 * NOTE: this reads all the entries, so don't use it on huge caches
+	 * @param {CacheKeysOpts} [options]
+	 * @returns {Promise<Array<CacheEntryInfo>>}
+	 */
+	async entries(options = {}) {
+		const entries = [];
+		for await (const entry of this.iterate(options)) {
+			entries.push(entry);
+		}
+		return entries;
+	}
+
+	/**
+	 * gets all the (unexpired) keys in the cache
+	 * @param {CacheKeysOpts} [options]
+	 * @returns {Promise<Array<string>>}
+	 */
+	async keys(options = {}) {
+		const keys = [];
+		for await (const entry of this.iterate(options)) {
+			keys.push(entry.key);
+		}
+		return keys;
+	}
+
     /**
 	 * memoizes a function (caches the return value of the function)
+	 * results are stored under a namespace, which is the name option or derived from the
+	 * name & source code of the function, so they are reused across restarts
+	 * NOTE: give a name to closures that capture variables (eg. created by a factory), functions with the
+	 * same source can't be told apart, a second one memoized without a name gets a random namespace
+	 * (with an error logged), so its results are not reused across restarts
 	 * @example
-	 * const cachedFn = cache.memoize(expensiveFn);
-	 * const result = cachedFn('a', 'b');
+	 * const cachedFn = cache.memoize(expensiveFn, {name: 'expensive', ttl: '1d'});
+	 * const result = await cachedFn('a', 'b');
+	 * await cachedFn.delete('a', 'b');
+	 * await cachedFn.clear();
 	 * @param {function} fn function to memoize
-	 * @param {number|string|CacheSetOpts} [options={}] ttl in ms/timestring('1d 3h') (default: 0)
-	 * or opts with parse and ttl
-	 * @return {function}
+	 * @param {number|string|CacheSetOpts & {name: string, keyFn: function(...any):string}} [options={}]
+	 * ttl in ms/timestring('1d 3h') (default: 0)
+	 * or opts with name (namespace of the results), keyFn (key of the arguments) and ttl
+	 * @return {function & {clear: function():Promise<void>, delete: function(...any):Promise<void>, markStale: function(...any):Promise<void>}}
 	 */
 	memoize(fn, options = {}) {
+		if (typeof options !== 'object') options = {ttl: options};
         const keySep = this.KEY_SEPARATOR;
-        const key = `m${keySep}${Math.random().toString(36).substring(2)}`;
-		return async (...args) => {
-			let cacheKey;
-			if (options.keyFn) {
-				cacheKey = key + keySep + options.keyFn(...args);
+		let name = options.name || memoizeName(fn);
+		const namespace = () => `m${keySep}${encodeURIComponent(name).replace(/\./g, '%2E')}`;
+		if (!options.name) {
+			// closures with the same source (eg. created in a loop / factory) can capture different variables,
+			// they would share the results if they share the namespace
+			const fullKeyPath = `${this.backend.location}\n${this._key(namespace())}`;
+			const existing = memoizedFns.get(fullKeyPath);
+			const existingFn = existing && existing.deref();
+			if (existingFn && existingFn !== fn) {
+				const duplicate = name;
+				name = `${duplicate}-${crypto.randomUUID()}`;
+				this.logger.error(`[${this.constructor.name}] [${this.prefix}] another function with the same source is already memoized as ${duplicate}, memoizing as ${name} (results are not reused across restarts), pass a unique name option`);
 			}
 			else {
-				cacheKey = key + keySep + JSON.stringify(args);
+				memoizedFns.set(fullKeyPath, new WeakRef(fn));
 			}
-			return this.getOrSet(cacheKey, () => fn(...args), options);
+		}
+        const keyPath = namespace();
+		const keyOf = (args) => {
+			if (options.keyFn) return keyPath + keySep + options.keyFn(...args);
+			return keyPath + keySep + stableStringify(args);
 		};
+
+		const memoized = async (...args) => this.getOrSet(keyOf(args), () => fn(...args), options);
+		memoized.clear = () => this._clear(keyPath);
+		memoized.delete = (...args) => this.del(keyOf(args));
+		memoized.markStale = (...args) => this.markStale(keyOf(args));
+		return memoized;
+	}
+
+    /**
+	 * sets a value from a stream (eg. a download or a build artifact), without keeping it in memory
+	 * the value is compressed in chunks into a temp file, which is then renamed (like set)
+	 * if the key is already being written from a stream, this waits for that write instead
+	 * (pass a function returning the stream, so that it is not opened at all then)
+	 * the value can be read with getStream (or with get, as a buffer)
+	 * @example
+	 * await cache.setStream('build.tar', () => fs.createReadStream('build.tar'), {ttl: '1d'});
+	 * @param {string} key
+	 * @param {AsyncIterable<Buffer>|function():(AsyncIterable<Buffer>|Promise<AsyncIterable<Buffer>>)} stream
+	 *  readable stream of the value or a function returning it
+	 * @param {number|string|CacheSetOpts} [options={}] ttl in ms/timestring('1d 3h')
+	 * or opts with ttl, tags, staleIfError, sliding & compression (dictionaries are not used)
+	 * @returns {Promise<boolean>}
+	 */
+	async setStream(key, stream, options = {}) {
+		if (typeof options !== 'object') options = {ttl: options};
+		const pending = this._streaming(key);
+		if (pending) {
+			if (typeof stream !== 'function' && stream.destroy) stream.destroy();
+			return pending;
+		}
+
+		const promise = this._setStream(key, stream, options);
+		this._streaming(key, promise);
+		try {
+			return await promise;
+		}
+		finally {
+			this._streaming(key, DELETE);
+		}
+	}
+
+	async _setStream(key, stream, options) {
+		const start = Date.now();
+		try {
+			const source = (typeof stream === 'function') ? await stream() : stream;
+			await this.backend.setStream(this._key(key), source, {
+				t: parseTTL(options.ttl),
+				c: Date.now(),
+				g: options.tags,
+				e: parseTTL(options.staleIfError) || undefined,
+				l: options.sliding || undefined,
+				compression: options.compression,
+			});
+		}
+		catch (error) {
+			this.logger.error(`[${this.constructor.name}] [${this.prefix}] error while setting key ${key} from a stream`, error);
+			this._error(error, key);
+			if (!options.staleIfError) await this._del(key);
+			throw error;
+		}
+		finally {
+			// the local cache may have the old value
+			if (this.localCache) this.localCache.delete(key);
+		}
+		this._recordTime('setTime', start);
+		this._record('sets');
+		this._emit('set', {prefix: this.prefix, key});
+		return true;
+	}
+
+	/**
+	 * wait for the write of a key from a stream (if any)
+	 * @param {string} key
+	 */
+	async _waitForStream(key) {
+		const streamingPromise = this._streaming(key);
+		if (streamingPromise) await streamingPromise.catch(() => {});
+	}
+
+    /**
+	 * gets a value (a buffer) as a readable stream, without reading it into memory
+	 * works for values set with setStream, or with set as a buffer
+	 * NOTE: corrupt values are detected only at the end of the stream (it errors with CorruptEntryError)
+	 * @example
+	 * const stream = await cache.getStream('build.tar');
+	 * if (stream) await pipeline(stream, res);
+	 * @param {string} key
+	 * @returns {Promise<import('stream').Readable|undefined>} undefined if the key does not exist (or is expired)
+	 */
+	async getStream(key) {
+		await this._waitForStream(key);
+		let result;
+		try {
+			result = await this.backend.getStream(this._key(key));
+		}
+		catch (e) {
+			this.logger.error(e);
+			this._error(e, key);
+			throw e;
+		}
+
+		const val = result && this._checkExpired(key, result.val);
+		if (!val) {
+			if (result) result.stream.destroy();
+			this._record('misses');
+			this._emit('miss', {prefix: this.prefix, key});
+			return undefined;
+		}
+		this._record('hits');
+		this._emit('hit', {prefix: this.prefix, key});
+		this._slide(key, val);
+		return result.stream;
 	}
 }
 
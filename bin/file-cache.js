@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const {createReadStream, createWriteStream} = require('fs');
+const util = require('util');
+const {FileCache} = require('..');
+
+const USAGE = `Usage: file-cache [options] <command> [args]
+
+Commands:
+  prefixes                  list prefixes with their number of entries and size
+  keys <prefix> [pattern]   list keys of a prefix (optionally matching a glob pattern)
+  get <prefix> <key>        print a value
+  info <prefix> <key>       print the metadata of a value (file, created time, ttl, tags etc.)
+  del <prefix> <key...>     delete keys
+  stale <prefix> <key...>   mark keys stale
+  clear <prefix>            delete all the keys of a prefix
+  prune [prefix]            delete expired keys (of all prefixes by default)
+  verify [prefix]           check integrity of the files (of all prefixes by default)
+  reencrypt [prefix]        rewrite the files with the current encryption key (of all prefixes by default)
+  export <file> [prefix]    write the live entries to an archive (of all prefixes by default)
+  import <file>             import the entries of an archive
+
+Options:
+  --dir <dir>               cache directory (default: ./cache)
+  --shard <levels>          shard setting the cache uses, eg. 2,2 (default: none)
+  --fix                     verify: delete / quarantine the corrupt files
+  --overwrite               import: overwrite the existing entries
+  --on-corrupt <action>     what to do with corrupt files: delete (default) or quarantine
+  -h, --help                show this help
+
+Environment variables (for encrypted caches):
+  FILE_CACHE_ENCRYPTION_KEY   encryption key
+  FILE_CACHE_DECRYPTION_KEYS  old encryption keys (comma separated)
+  FILE_CACHE_HASH_KEY         secret to hash the keys to file names with
+`;
+
+class UsageError extends Error {}
+
+function required(value, name) {
+	if (value === undefined) throw new UsageError(`${name} is required`);
+	return value;
+}
+
+function parseShard(value) {
+	const shard = required(value, '--shard').split(',').map(Number);
+	if (shard.some(length => !Number.isInteger(length) || length <= 0)) {
+		throw new UsageError(`invalid --shard ${value}, expected lengths like 2,2`);
+	}
+	return shard;
+}
+
+function parseArgs(argv) {
+	const args = [];
+	const options = {dir: 'cache', shard: null, fix: false, overwrite: false, onCorrupt: 'delete'};
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === '--dir') options.dir = argv[++i];
+		else if (arg === '--shard') options.shard = parseShard(argv[++i]);
+		else if (arg === '--fix') options.fix = true;
+		else if (arg === '--overwrite') options.overwrite = true;
+		else if (arg === '--on-corrupt') options.onCorrupt = argv[++i];
+		else if (arg === '-h' || arg === '--help') options.help = true;
+		else if (arg.startsWith('-')) throw new UsageError(`unknown option ${arg}`);
+		else args.push(arg);
+	}
+	return {args, options};
+}
+
+function formatSize(bytes) {
+	const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+	let i = 0;
+	while (bytes >= 1024 && i < units.length - 1) {
+		bytes /= 1024;
+		i++;
+	}
+	return `${(i ? bytes.toFixed(1) : bytes)} ${units[i]}`;
+}
+
+function formatTime(time) {
+	return time ? new Date(time).toISOString() : '-';
+}
+
+function printTable(rows) {
+	const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
+	rows.forEach((row) => {
+		console.log(row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd());
+	});
+}
+
+function isExpired(val) {
+	return Boolean(val.t) && val.c + val.t < Date.now();
+}
+
+class Cli {
+	constructor(options) {
+		this.options = options;
+	}
+
+	cacheOptions() {
+		const {env} = process;
+		return {
+			dir: this.options.dir,
+			shard: this.options.shard,
+			onCorrupt: this.options.onCorrupt,
+			encryptionKey: env.FILE_CACHE_ENCRYPTION_KEY || null,
+			decryptionKeys: env.FILE_CACHE_DECRYPTION_KEYS ? env.FILE_CACHE_DECRYPTION_KEYS.split(',') : [],
+			hashKey: env.FILE_CACHE_HASH_KEY || null,
+		};
+	}
+
+	cache(prefix) {
+		return new FileCache(required(prefix, 'prefix'), this.cacheOptions());
+	}
+
+	progress({entries, skipped}) {
+		if (process.stderr.isTTY) process.stderr.write(`\r${entries} entries, ${skipped} skipped`);
+	}
+
+	async prefixes() {
+		const backend = this.cache('_').backend;
+		const dir = backend.keyPathToDir([FileCache.CACHE_ID, FileCache.GLOBAL_PREFIX].join(FileCache.KEY_SEPARATOR));
+		let dirents;
+		try {
+			dirents = await fs.readdir(dir, {withFileTypes: true});
+		}
+		catch (e) {
+			if (e.code === 'ENOENT') return [];
+			throw e;
+		}
+		return dirents.filter(dirent => dirent.isDirectory()).map(dirent => dirent.name).sort();
+	}
+
+	async run(command, args) {
+		switch (command) {
+			case 'prefixes': {
+				const rows = [['PREFIX', 'ENTRIES', 'EXPIRED', 'SIZE']];
+				for (const prefix of await this.prefixes()) {
+					const cache = this.cache(prefix);
+					let entries = 0;
+					let expired = 0;
+					let size = 0;
+					for await (const entry of cache.backend.scan(cache.keyPath)) {
+						entries++;
+						if (isExpired(entry)) expired++;
+						size += entry.size;
+					}
+					rows.push([prefix, entries, expired, formatSize(size)]);
+				}
+				printTable(rows);
+				return 0;
+			}
+
+			case 'keys': {
+				const [prefix, pattern] = args;
+				for await (const {key} of this.cache(prefix).iterate({pattern})) {
+					console.log(key);
+				}
+				return 0;
+			}
+
+			case 'get': {
+				const [prefix, key] = args;
+				const cache = this.cache(prefix);
+				// read from the backend directly, so that expired values are not deleted
+				const val = await cache.backend.get(cache._key(required(key, 'key')));
+				if (!val) {
+					console.error(`key ${key} not found`);
+					return 1;
+				}
+				if (isExpired(val)) console.error(`key ${key} is expired`);
+				if (Buffer.isBuffer(val.v)) {
+					process.stdout.write(val.v);
+				}
+				else if (typeof val.v === 'string') {
+					console.log(val.v);
+				}
+				else if (val.s === 'json') {
+					console.log(JSON.stringify(val.v, null, 2));
+				}
+				else {
+					console.log(util.inspect(val.v, {depth: null, colors: process.stdout.isTTY}));
+				}
+				return 0;
+			}
+
+			case 'info': {
+				const [prefix, key] = args;
+				const cache = this.cache(prefix);
+				const fullKey = cache._key(required(key, 'key'));
+				const val = await cache.backend.head(fullKey);
+				if (!val) {
+					console.error(`key ${key} not found`);
+					return 1;
+				}
+				const file = cache.backend.keyToFile(fullKey);
+				const {size} = await fs.stat(file);
+				printTable([
+					['file', file],
+					['size', formatSize(size)],
+					['created', formatTime(val.c)],
+					['ttl', val.t ? `${val.t}ms` : '-'],
+					['expires', val.t ? formatTime(val.c + val.t) : 'never'],
+					['expired', isExpired(val) ? 'yes' : 'no'],
+					['stale', val.m ? 'yes' : 'no'],
+					['sliding', val.l ? 'yes' : 'no'],
+					['staleIfError', val.e ? `${val.e}ms` : '-'],
+					['tags', (val.g || []).join(', ') || '-'],
+					['serializer', val.s || 'json'],
+				]);
+				return 0;
+			}
+
+			case 'del':
+			case 'stale': {
+				const [prefix, ...keys] = args;
+				const cache = this.cache(prefix);
+				required(keys[0], 'key');
+				if (command === 'del') await cache.delMany(keys);
+				else await cache.markStale(keys);
+				return 0;
+			}
+
+			case 'clear': {
+				await this.cache(args[0]).clear();
+				return 0;
+			}
+
+			case 'prune': {
+				const prefixes = args.length ? args : await this.prefixes();
+				const rows = [['PREFIX', 'ENTRIES', 'SIZE']];
+				for (const prefix of prefixes) {
+					const {entries, bytes} = await this.cache(prefix).prune();
+					rows.push([prefix, entries, formatSize(bytes)]);
+				}
+				printTable(rows);
+				return 0;
+			}
+
+			case 'verify': {
+				const prefixes = args.length ? args : await this.prefixes();
+				let failed = false;
+				for (const prefix of prefixes) {
+					const {entries, errors} = await this.cache(prefix).verify({fix: this.options.fix});
+					console.log(`${prefix}: ${entries} valid, ${errors.length} invalid`);
+					errors.forEach(({file, error, corrupt}) => {
+						console.log(`  ${corrupt ? 'corrupt' : 'unreadable'} ${file}: ${error}`);
+					});
+					if (errors.length) failed = true;
+				}
+				return failed ? 1 : 0;
+			}
+
+			case 'reencrypt': {
+				const prefixes = args.length ? args : await this.prefixes();
+				const rows = [['PREFIX', 'ENTRIES', 'SKIPPED']];
+				for (const prefix of prefixes) {
+					const {entries, skipped} = await this.cache(prefix).reencrypt();
+					rows.push([prefix, entries, skipped]);
+				}
+				printTable(rows);
+				return 0;
+			}
+
+			case 'export': {
+				const [file, ...prefixes] = args;
+				const stream = createWriteStream(required(file, 'file'));
+				const cache = this.cache('_');
+				const result = await cache.export(stream, {
+					prefixes: prefixes.length ? prefixes : await this.prefixes(),
+					onProgress: progress => this.progress(progress),
+				});
+				console.error(`\rexported ${result.entries} entries (${formatSize(result.bytes)}), skipped ${result.skipped}`);
+				return 0;
+			}
+
+			case 'import': {
+				const stream = createReadStream(required(args[0], 'file'));
+				const result = await FileCache.import(stream, {
+					...this.cacheOptions(),
+					overwrite: this.options.overwrite,
+					onProgress: progress => this.progress(progress),
+				});
+				console.error(`\rimported ${result.entries} entries, skipped ${result.skipped}`);
+				return 0;
+			}
+
+			default:
+				throw new UsageError(command ? `unknown command ${command}` : 'command is required');
+		}
+	}
+}
+
+async function main() {
+	const {args, options} = parseArgs(process.argv.slice(2));
+	if (options.help) {
+		process.stdout.write(USAGE);
+		return 0;
+	}
+	const [command, ...rest] = args;
+	return new Cli(options).run(command, rest);
+}
+
+main().then((code) => {
+	process.exitCode = code;
+}, (e) => {
+	if (e instanceof UsageError) {
+		console.error(`file-cache: ${e.message}\n\n${USAGE}`);
+	}
+	else {
+		console.error('file-cache:', e);
+	}
+	process.exitCode = 1;
+});
@@ -0,0 +1,322 @@
+// fetch with an http cache, responses are cached according to their Cache-Control (RFC 9111)
+
+const timestring = require('timestring');
+
+// request methods whose responses are cached
+const CACHEABLE_METHODS = ['GET', 'HEAD'];
+// statuses that can be cached without explicit freshness info (RFC 9111)
+const CACHEABLE_STATUSES = new Set([200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501]);
+// statuses that must not have a body
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+// headers that are not stored with a cached response (the body is stored decoded)
+const UNCACHED_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-encoding', 'content-length'];
+
+// location + key => promise of the response being fetched (by this process)
+const fetching = new Map();
+
+/**
+ * @typedef {object} FetchOptions
+ * @property {string} [key] key to cache the response with (default: method + url)
+ * @property {number|string} [maxAge=0] how long responses without max-age / Expires are fresh
+ * @property {number|string} [staleWhileRevalidate=0] default stale-while-revalidate
+ * @property {number|string} [staleIfError=0] default stale-if-error
+ * @property {number|string} [revalidateTTL='1d'] how long to keep stale responses which can be revalidated
+ */
+
+function parseTTL(ttl) {
+	if (typeof ttl === 'string') return timestring(ttl, 'ms');
+	return ttl;
+}
+
+function parseCacheControl(header) {
+	const directives = {};
+	(header || '').split(',').forEach((part) => {
+		const [name, value] = part.split('=');
+		if (!name.trim()) return;
+		directives[name.trim().toLowerCase()] = (value === undefined) ? true : value.trim().replace(/^"|"$/g, '');
+	});
+	return directives;
+}
+
+function parseSeconds(value) {
+	const seconds = parseInt(value, 10);
+	return (Number.isNaN(seconds) || seconds < 0) ? undefined : seconds * 1000;
+}
+
+/**
+ * how long a response can be cached according to its headers (and the defaults in options)
+ * @param {number} status
+ * @param {Headers} headers
+ * @param {FetchOptions} options
+ * @returns {{maxAge: number, swr: number, sie: number, ttl: number}|null} null if it must not be cached
+ */
+function httpCachePolicy(status, headers, options) {
+	const cacheControl = parseCacheControl(headers.get('cache-control'));
+	if (cacheControl['no-store'] || !CACHEABLE_STATUSES.has(status)) return null;
+	// private responses are cached only with an explicit key (eg. one per user)
+	if (cacheControl.private && !options.key) return null;
+	// the response varies by something other than the request headers
+	if ((headers.get('vary') || '').split(',').some(name => name.trim() === '*')) return null;
+
+	let maxAge = cacheControl['no-cache'] ? 0 : parseSeconds(cacheControl['max-age']);
+	if (maxAge === undefined && headers.has('expires')) {
+		const expires = Date.parse(headers.get('expires'));
+		const date = Date.parse(headers.get('date')) || Date.now();
+		maxAge = Number.isNaN(expires) ? 0 : Math.max(expires - date, 0);
+	}
+	if (maxAge === undefined) maxAge = parseTTL(options.maxAge) || 0;
+	// time the response already spent in other caches
+	maxAge = Math.max(maxAge - (parseSeconds(headers.get('age')) || 0), 0);
+
+	const swr = cacheControl['must-revalidate'] ? 0 :
+		(parseSeconds(cacheControl['stale-while-revalidate']) ?? (parseTTL(options.staleWhileRevalidate) || 0));
+	const sie = cacheControl['must-revalidate'] ? 0 :
+		(parseSeconds(cacheControl['stale-if-error']) ?? (parseTTL(options.staleIfError) || 0));
+	const validators = headers.has('etag') || headers.has('last-modified');
+	// nothing to serve from the cache
+	if (!maxAge && !swr && !validators) return null;
+
+	// responses that can be revalidated are kept around after they become stale
+	const revalidateTTL = validators ? (parseTTL(options.revalidateTTL ?? '1d') || 0) : 0;
+	return {maxAge, swr, sie, ttl: maxAge + swr + revalidateTTL};
+}
+
+/**
+ * values of the request headers named by the Vary of a response
+ * @param {Request} request
+ * @param {Headers} headers response headers
+ * @returns {Object<string, string|null>|undefined}
+ */
+function varyHeaders(request, headers) {
+	const names = (headers.get('vary') || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+	if (!names.length) return undefined;
+	const vary = {};
+	names.forEach((name) => {
+		vary[name] = request.headers.get(name);
+	});
+	return vary;
+}
+
+/**
+ * whether a cached response can be used for a request according to its Vary
+ * @param {object} value cached response
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function varyMatches(value, request) {
+	if (!value.vary) return true;
+	return Object.keys(value.vary).every(name => request.headers.get(name) === value.vary[name]);
+}
+
+/**
+ * @param {object} value cached response
+ * @param {string} cacheStatus HIT, STALE, MISS or REVALIDATED
+ * @returns {Response}
+ */
+function toResponse(value, cacheStatus) {
+	const headers = new Headers(value.headers);
+	headers.set('x-cache', cacheStatus);
+	const body = NULL_BODY_STATUSES.has(value.status) ? null : Buffer.from(value.body, 'base64');
+	return new Response(body, {status: value.status, statusText: value.statusText, headers});
+}
+
+/**
+ * get a cached response along with its times
+ * responses within their stale-if-error window are returned too
+ * @param {import('./BaseCache').BaseCache} cache
+ * @param {string} key
+ * @returns {Promise<CacheValue|undefined>}
+ */
+async function getResponse(cache, key) {
+	if (cache.localCache) {
+		const local = cache.localCache.get(key);
+		if (local) return local;
+	}
+	let val;
+	try {
+		val = await cache.backend.get(cache._key(key));
+	}
+	catch (e) {
+		cache.logger.error(e);
+		cache._error(e, key);
+		return undefined;
+	}
+	if (!val) return undefined;
+	if (val.t && val.c + val.t < Date.now()) {
+		// deletes the value if it is out of the stale-if-error window too
+		cache._checkExpired(key, val);
+		return (val.c + val.t + (val.e || 0) < Date.now()) ? undefined : val;
+	}
+	if (cache.localCache) cache.localCache.set(key, val.v, val);
+	return val;
+}
+
+function canServeOnError(val) {
+	return Boolean(val) && Date.now() - val.c < val.v.maxAge + Math.max(val.v.swr, val.v.sie);
+}
+
+/**
+ * fetch a url (revalidating the cached response if given) and cache the response
+ * @param {import('./BaseCache').BaseCache} cache
+ * @param {string} key
+ * @param {Request} request
+ * @param {CacheValue} [val] cached response
+ * @param {FetchOptions} options
+ * @returns {Promise<{value: object, cacheStatus: string, cached: boolean}>}
+ */
+async function fetchResponse(cache, key, request, val, options) {
+	const headers = new Headers(request.headers);
+	const cachedHeaders = val && new Headers(val.v.headers);
+	if (cachedHeaders) {
+		if (cachedHeaders.has('etag')) headers.set('if-none-match', cachedHeaders.get('etag'));
+		if (cachedHeaders.has('last-modified')) headers.set('if-modified-since', cachedHeaders.get('last-modified'));
+	}
+	const response = await fetch(new Request(request, {headers}));
+
+	if (response.status === 304 && cachedHeaders) {
+		// not modified, update the headers of the cached response (RFC 9111 4.3.4)
+		response.headers.forEach((value, name) => {
+			if (!UNCACHED_HEADERS.includes(name)) cachedHeaders.set(name, value);
+		});
+		const policy = httpCachePolicy(val.v.status, cachedHeaders, options);
+		const value = {...val.v, headers: [...cachedHeaders], ...policy};
+		if (!policy) {
+			await cache._del(key);
+			return {value, cacheStatus: 'REVALIDATED', cached: false};
+		}
+		const unchanged = ['maxAge', 'swr', 'sie'].every(name => value[name] === val.v[name]) &&
+			['etag', 'last-modified'].every(name => cachedHeaders.get(name) === new Headers(val.v.headers).get(name));
+		// refresh only the times if possible, without rewriting the body
+		if (!unchanged || !(await cache._touch(key, {c: Date.now(), t: policy.ttl, stale: false}))) {
+			await cache._setBoth(key, value, {ttl: policy.ttl, staleIfError: policy.sie});
+		}
+		return {value, cacheStatus: 'REVALIDATED', cached: true};
+	}
+
+	const body = Buffer.from(await response.arrayBuffer());
+	const responseHeaders = new Headers(response.headers);
+	UNCACHED_HEADERS.forEach(name => responseHeaders.delete(name));
+	const policy = httpCachePolicy(response.status, responseHeaders, options);
+	const value = {
+		status: response.status,
+		statusText: response.statusText,
+		headers: [...responseHeaders],
+		body: body.toString('base64'),
+		vary: varyHeaders(request, responseHeaders),
+		...policy,
+	};
+	if (policy) {
+		await cache._setBoth(key, value, {ttl: policy.ttl, staleIfError: policy.sie});
+	}
+	else if (val && response.status < 500) {
+		// the response is no longer cacheable (server errors may still be served stale)
+		await cache._del(key);
+	}
+	return {value, cacheStatus: 'MISS', cached: Boolean(policy)};
+}
+
+async function fetchWithLock(cache, key, request, val, options) {
+	// take a lock so that only one process fetches the url
+	const {release, waited} = await cache._lock(key);
+	try {
+		if (waited) {
+			// some other process fetched the url while we were waiting, use it
+			if (cache.localCache) cache.localCache.delete(key);
+			let current = await getResponse(cache, key);
+			if (current && !varyMatches(current.v, request)) current = undefined;
+			if (current && !current.m && Date.now() - current.c < current.v.maxAge) {
+				return {value: current.v, cacheStatus: 'HIT', cached: true};
+			}
+			val = current;
+		}
+
+		try {
+			const result = await fetchResponse(cache, key, request, val, options);
+			if (result.value.status < 500 || !canServeOnError(val)) return result;
+			cache._record('staleIfErrorHits');
+			cache._emit('staleIfError', {prefix: cache.prefix, key, error: new Error(`status ${result.value.status}`)});
+			return {value: val.v, cacheStatus: 'STALE', cached: true};
+		}
+		catch (error) {
+			cache._error(error, key);
+			if (!canServeOnError(val)) throw error;
+			cache._record('staleIfErrorHits');
+			cache._emit('staleIfError', {prefix: cache.prefix, key, error});
+			return {value: val.v, cacheStatus: 'STALE', cached: true};
+		}
+	}
+	finally {
+		await release();
+	}
+}
+
+/**
+ * fetch a url through the cache (see FileCache#fetch)
+ * @param {import('./BaseCache').BaseCache} cache
+ * @param {string|URL|Request} url
+ * @param {RequestInit} init passed to fetch
+ * @param {FetchOptions} options
+ * @returns {Promise<Response>}
+ */
+async function cachedFetch(cache, url, init, options) {
+	const request = new Request(url, init);
+	if (!CACHEABLE_METHODS.includes(request.method) || cache.isBypassed()) {
+		return fetch(request);
+	}
+	// responses to authorized requests must not be shared (unless keyed explicitly)
+	if (!options.key && request.headers.has('authorization')) return fetch(request);
+	const keySep = cache.KEY_SEPARATOR;
+	const key = options.key || `fetch${keySep}${request.method}${keySep}${request.url}`;
+
+	let val = await getResponse(cache, key);
+	// a response for another variant is a miss
+	if (val && !varyMatches(val.v, request)) val = undefined;
+	if (val) {
+		// values marked stale are revalidated
+		const age = val.m ? Infinity : Date.now() - val.c;
+		if (age < val.v.maxAge) {
+			cache._record('hits');
+			cache._emit('hit', {prefix: cache.prefix, key});
+			return toResponse(val.v, 'HIT');
+		}
+		if (age < val.v.maxAge + val.v.swr) {
+			cache._record('hits');
+			cache._record('staleHits');
+			cache._emit('hit', {prefix: cache.prefix, key});
+			cache._refreshBackground(key, () => fetchResponse(cache, key, request, val, options).catch((e) => {
+				cache._error(e, key);
+				throw e;
+			}));
+			return toResponse(val.v, 'STALE');
+		}
+	}
+	else {
+		cache._record('misses');
+		cache._emit('miss', {prefix: cache.prefix, key});
+	}
+
+	const fetchingKey = `${cache.backend.location}\n${cache._key(key)}`;
+	const pending = fetching.get(fetchingKey);
+	if (pending) {
+		// the same url is already being fetched, wait for it
+		const {value, cacheStatus, cached} = await pending;
+		// share the response only if it is cacheable and the same variant, otherwise fetch our own
+		if (cached && varyMatches(value, request)) return toResponse(value, cacheStatus);
+		const result = await fetchResponse(cache, key, request, undefined, options);
+		return toResponse(result.value, result.cacheStatus);
+	}
+
+	const promise = fetchWithLock(cache, key, request, val, options);
+	fetching.set(fetchingKey, promise);
+	try {
+		const {value, cacheStatus} = await promise;
+		return toResponse(value, cacheStatus);
+	}
+	finally {
+		fetching.delete(fetchingKey);
+	}
+}
+
+module.exports = {
+	cachedFetch,
+};
@@ -0,0 +1,1061 @@
+// on disk format of the cache files
+//
+// version 1 (current):
+//   0  magic 'FC\0'
+//   3  version (uint8)
+//   4  codec (uint8)
+//   5  flags (uint8), 1 = encrypted, 2 = stale (marked stale, see markStale)
+//   6  reserved (2 bytes)
+//   8  c: time when the value was created (float64)
+//   16 t: ttl of the value, from c (float64), touching a value extends it
+//   24 checksum of the payload (first 8 bytes of sha256)
+//   32 length of the meta (uint32)
+//   36 meta json ({k: key, g: tags, e: stale-if-error window, l: sliding, o: original ttl, s: serializer,
+//      d: dictionary id})
+//   .. payload (serialized & maybe compressed value)
+// values written as streams (setStream) are compressed in chunks, zstd payload is then
+//   length (uint32) + zstd frame, repeated (codec zstd-frames)
+// if encrypted (AES-256-GCM):
+//   meta is key id length (uint8) + key id + iv + auth tag + encrypted meta json
+//   payload is iv + auth tag + encrypted payload (with the encrypted meta as additional data)
+//
+// version 0: no header, json or zstd'ed json of {t, c, v}
+//
+// archive (export / import of entries): magic 'FCA\0' + version (uint8)
+//   followed by records of length (uint32) + entry (in the cache file format)
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const {pipeline} = require('stream');
+const v8 = require('v8');
+const zlib = require('zlib');
+const {promisify} = require('util');
+const {compress, decompress} = require('@mongodb-js/zstd');
+const {Compressor, Decompressor} = require('zstd-napi');
+
+const MAGIC = Buffer.from([0x46, 0x43, 0x00]);
+const VERSION = 1;
+const HEADER_SIZE = 36;
+const OFFSET_CODEC = 4;
+const OFFSET_FLAGS = 5;
+const FLAG_ENCRYPTED = 1;
+const FLAG_STALE = 2;
+const OFFSET_CREATED = 8;
+const OFFSET_TTL = 16;
+const OFFSET_CHECKSUM = 24;
+const CHECKSUM_SIZE = 8;
+const OFFSET_META_LENGTH = 32;
+// bytes to read initially when reading only the header of a file
+const HEADER_READ_SIZE = 4096;
+
+const CIPHER = 'aes-256-gcm';
+const IV_SIZE = 12;
+const AUTH_TAG_SIZE = 16;
+const ENCRYPTION_KEY_SIZE = 32;
+
+const ARCHIVE_MAGIC = Buffer.from([0x46, 0x43, 0x41, 0x00]);
+const ARCHIVE_VERSION = 1;
+const RECORD_LENGTH_SIZE = 4;
+
+// size of the chunks streams are compressed (and read) in
+const STREAM_CHUNK_SIZE = 1024 * 1024;
+
+// default max size of a dictionary (same as zstd --train)
+const DICTIONARY_SIZE = 112640;
+// size of the segments of the samples a dictionary is made of
+// and of the byte sequences (dmers) the segments are scored by
+const DICTIONARY_SEGMENT_SIZE = 256;
+const DICTIONARY_DMER_SIZE = 8;
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// zstd-napi compressors & decompressors of the dictionaries (by level)
+const dictionaryCompressors = new WeakMap();
+const dictionaryDecompressors = new WeakMap();
+
+function dictionaryCompressor(dictionary, level) {
+	let byLevel = dictionaryCompressors.get(dictionary);
+	if (!byLevel) {
+		byLevel = new Map();
+		dictionaryCompressors.set(dictionary, byLevel);
+	}
+	if (!byLevel.has(level)) {
+		const compressor = new Compressor();
+		compressor.setParameters({compressionLevel: level});
+		compressor.loadDictionary(dictionary);
+		byLevel.set(level, compressor);
+	}
+	return byLevel.get(level);
+}
+
+function dictionaryDecompressor(dictionary) {
+	if (!dictionaryDecompressors.has(dictionary)) {
+		const decompressor = new Decompressor();
+		decompressor.loadDictionary(dictionary);
+		dictionaryDecompressors.set(dictionary, decompressor);
+	}
+	return dictionaryDecompressors.get(dictionary);
+}
+
+/**
+ * compression codecs, id is stored in the file header
+ * NOTE: @mongodb-js/zstd compresses in the thread pool, but does not support dictionaries,
+ * so values with a dictionary (small values) are compressed with zstd-napi (in the main thread)
+ */
+const codecs = {
+	none: {
+		id: 0,
+	},
+	zstd: {
+		id: 1,
+		compress: async (buffer, {level = 3, dictionary}) => (dictionary ?
+			dictionaryCompressor(dictionary, level).compress(buffer) :
+			compress(buffer, level)),
+		decompress: async (buffer, {dictionary}) => (dictionary ?
+			dictionaryDecompressor(dictionary).decompress(buffer) :
+			decompress(buffer)),
+	},
+	brotli: {
+		id: 2,
+		compress: (buffer, {level = 4}) => brotliCompress(buffer, {
+			params: {[zlib.constants.BROTLI_PARAM_QUALITY]: level},
+		}),
+		decompress: buffer => brotliDecompress(buffer),
+		createCompress: ({level = 4}) => zlib.createBrotliCompress({
+			params: {[zlib.constants.BROTLI_PARAM_QUALITY]: level},
+		}),
+		createDecompress: () => zlib.createBrotliDecompress(),
+	},
+	gzip: {
+		id: 3,
+		compress: (buffer, {level = 6}) => gzip(buffer, {level}),
+		decompress: buffer => gunzip(buffer),
+		createCompress: ({level = 6}) => zlib.createGzip({level}),
+		createDecompress: () => zlib.createGunzip(),
+	},
+	// written only by streams, @mongodb-js/zstd can't compress streams
+	// so they are compressed in chunks, each chunk is a zstd frame prefixed with its length
+	'zstd-frames': {
+		id: 4,
+		decompress: async (buffer) => {
+			const chunks = [];
+			for await (const chunk of decompressFrames([buffer])) {
+				chunks.push(chunk);
+			}
+			return Buffer.concat(chunks);
+		},
+	},
+};
+
+const codecsById = Object.values(codecs).reduce((acc, codec) => {
+	acc[codec.id] = codec;
+	return acc;
+}, {});
+
+/**
+ * @typedef {object} CompressionOptions
+ * @property {string} [codec='zstd'] zstd, brotli, gzip or none
+ * @property {number} [level] compression level (default: zstd 3, brotli 4, gzip 6)
+ * @property {number} [threshold=256] don't compress values smaller than this (in bytes)
+ * @property {boolean|{id: string, data: Buffer}} [dictionary]
+ *  compress with a zstd dictionary (true = use the dictionary trained for the prefix)
+ *  only supported with the zstd codec
+ */
+
+const defaultCompression = {
+	codec: 'zstd',
+	threshold: 256,
+};
+
+/**
+ * normalize compression options
+ * @param {boolean|string|CompressionOptions} [compression]
+ * @param {CompressionOptions} [base] options to extend
+ * @returns {CompressionOptions}
+ */
+function resolveCompression(compression, base = defaultCompression) {
+	if (compression === undefined || compression === null || compression === true) return base;
+	if (compression === false) return {...base, codec: 'none'};
+	if (typeof compression === 'string') compression = {codec: compression};
+	const resolved = {...base, ...compression};
+	if (!codecs[resolved.codec]) {
+		throw new Error(`unknown compression codec ${resolved.codec}`);
+	}
+	if (resolved.dictionary && resolved.codec !== 'zstd') {
+		throw new Error(`compression dictionaries are only supported with the zstd codec, not ${resolved.codec}`);
+	}
+	return resolved;
+}
+
+/**
+ * error thrown when a cache file is truncated or corrupted
+ */
+class CorruptEntryError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'CorruptEntryError';
+	}
+}
+
+/**
+ * error thrown when the encryption key needed to read a file is not given
+ * (the file is not corrupt, so it should not be deleted)
+ */
+class MissingKeyError extends Error {
+	constructor(id) {
+		super(`encryption key ${id} is required to read this value, pass it in the decryptionKeys option`);
+		this.name = 'MissingKeyError';
+	}
+}
+
+/**
+ * @typedef {object} Encryption
+ * @property {{id: string, key: Buffer}} current key to encrypt the values with
+ * @property {Map<string, Buffer>} keys keys to decrypt the values with (current & old), by id
+ */
+
+/**
+ * @param {string|Buffer} key 32 bytes Buffer, or hex / base64 encoded string
+ * @returns {Buffer}
+ */
+function toEncryptionKey(key) {
+	const buffer = Buffer.isBuffer(key) ?
+		key :
+		Buffer.from(key, /^[0-9a-f]{64}$/i.test(key) ? 'hex' : 'base64');
+	if (buffer.length !== ENCRYPTION_KEY_SIZE) {
+		throw new Error(`encryption key should be ${ENCRYPTION_KEY_SIZE} bytes (a Buffer, or hex / base64 encoded string)`);
+	}
+	return buffer;
+}
+
+/**
+ * id of a key, stored in the file to find the key while decrypting
+ * @param {Buffer} key
+ * @returns {string}
+ */
+function encryptionKeyId(key) {
+	return crypto.createHash('sha256').update(key).digest('base64url').substring(0, 8);
+}
+
+/**
+ * normalize encryption options
+ * @param {string|Buffer} [encryptionKey] key to encrypt with
+ * @param {Array<string|Buffer>} [decryptionKeys] old keys, only used to decrypt
+ * @returns {Encryption|null} null if there's no encryption
+ */
+function resolveEncryption(encryptionKey, decryptionKeys = []) {
+	if (!encryptionKey) return null;
+	const key = toEncryptionKey(encryptionKey);
+	const current = {id: encryptionKeyId(key), key};
+	const keys = new Map([[current.id, key]]);
+	decryptionKeys.forEach((oldKey) => {
+		const buffer = toEncryptionKey(oldKey);
+		keys.set(encryptionKeyId(buffer), buffer);
+	});
+	return {current, keys};
+}
+
+function encrypt(buffer, key, additionalData) {
+	const iv = crypto.randomBytes(IV_SIZE);
+	const cipher = crypto.createCipheriv(CIPHER, key, iv);
+	if (additionalData) cipher.setAAD(additionalData);
+	const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+	return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+}
+
+function decrypt(buffer, key, additionalData) {
+	if (buffer.length < IV_SIZE + AUTH_TAG_SIZE) {
+		throw new CorruptEntryError('encrypted data is truncated');
+	}
+	const decipher = crypto.createDecipheriv(CIPHER, key, buffer.subarray(0, IV_SIZE));
+	decipher.setAuthTag(buffer.subarray(IV_SIZE, IV_SIZE + AUTH_TAG_SIZE));
+	if (additionalData) decipher.setAAD(additionalData);
+	try {
+		return Buffer.concat([decipher.update(buffer.subarray(IV_SIZE + AUTH_TAG_SIZE)), decipher.final()]);
+	}
+	catch (e) {
+		throw new CorruptEntryError(`could not decrypt: ${e.message}`);
+	}
+}
+
+function getDecryptionKey(id, encryption) {
+	const key = encryption && encryption.keys.get(id);
+	if (!key) throw new MissingKeyError(id);
+	return key;
+}
+
+/**
+ * @typedef {object} Serializer
+ * @property {string} [name] name stored in the file to find the serializer while reading
+ * @property {function(any):Buffer} serialize
+ * @property {function(Buffer):any} deserialize
+ */
+
+/**
+ * built in serializers
+ * json: default
+ * v8: Node's v8.serialize, keeps Dates, Maps, Sets, BigInts, typed arrays, Buffers etc. intact
+ * raw: for storing Buffers as is
+ * @type {Object<string, Serializer>}
+ */
+const serializers = {
+	json: {
+		serialize: value => Buffer.from(JSON.stringify(value)),
+		deserialize: buffer => JSON.parse(buffer),
+	},
+	v8: {
+		serialize: value => v8.serialize(value),
+		deserialize: buffer => v8.deserialize(buffer),
+	},
+	raw: {
+		serialize: value => value,
+		deserialize: buffer => buffer,
+	},
+};
+
+/**
+ * @param {string|Serializer} serializer
+ * @returns {Serializer} serializer with its name
+ */
+function resolveSerializer(serializer) {
+	if (typeof serializer === 'string') {
+		if (!serializers[serializer]) {
+			throw new Error(`unknown serializer ${serializer}`);
+		}
+		return {name: serializer, ...serializers[serializer]};
+	}
+	return {name: 'custom', ...serializer};
+}
+
+async function decompressMaybe(buffer) {
+	if (buffer.length < 4) return buffer;
+	if (buffer[3] === 0xFD && buffer[2] === 0x2F && buffer[1] === 0xB5 && buffer[0] === 0x28) {
+		return decompress(buffer);
+	}
+	return buffer;
+}
+
+function checksum(buffer) {
+	return crypto.createHash('sha256').update(buffer).digest().subarray(0, CHECKSUM_SIZE);
+}
+
+function hasMagic(buffer) {
+	return buffer.length >= MAGIC.length + 1 && MAGIC.equals(buffer.subarray(0, MAGIC.length));
+}
+
+/**
+ * get the format version of a file from its first few bytes
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function getVersion(buffer) {
+	if (!hasMagic(buffer)) return 0;
+	const version = buffer[MAGIC.length];
+	if (version > VERSION) {
+		// not corrupt, just written by a newer version, so don't delete it
+		throw new Error(`unsupported cache file version ${version}`);
+	}
+	if (version < 1) {
+		throw new CorruptEntryError(`invalid cache file version ${version}`);
+	}
+	return version;
+}
+
+/**
+ * identify a dmer (a sequence of DICTIONARY_DMER_SIZE bytes) by a hash (not 0)
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {number}
+ */
+function dmerHash(buffer, offset) {
+	return (Math.imul(buffer.readInt32LE(offset), 0x9E3779B1) ^ buffer.readInt32LE(offset + 4)) || 1;
+}
+
+/**
+ * the segment of a range of the samples covering the most (and most frequent) dmers
+ * @param {Int32Array} dmers dmer hash at each position of the samples (0 for dmers spanning two samples)
+ * @param {Map<number, number>} frequencies number of samples containing each dmer
+ * @param {number} begin
+ * @param {number} end
+ * @param {number} length number of dmers in a segment
+ * @returns {{start: number, end: number, score: number}} start & end positions of the dmers of the segment
+ */
+function bestSegment(dmers, frequencies, begin, end, length) {
+	// number of times each dmer occurs in the current segment
+	const active = new Map();
+	let best = {start: begin, end: begin, score: 0};
+	let score = 0;
+	let start = begin;
+	for (let i = begin; i < end; i++) {
+		const dmer = dmers[i];
+		const count = active.get(dmer) || 0;
+		if (!count) score += frequencies.get(dmer) || 0;
+		active.set(dmer, count + 1);
+		if (i - start >= length) {
+			const removed = dmers[start++];
+			const removedCount = active.get(removed) - 1;
+			if (removedCount) {
+				active.set(removed, removedCount);
+			}
+			else {
+				active.delete(removed);
+				score -= frequencies.get(removed) || 0;
+			}
+		}
+		if (score > best.score) best = {start, end: i + 1, score};
+	}
+	return best;
+}
+
+/**
+ * train a zstd dictionary from sample values with the COVER algorithm (like zstd --train-cover)
+ * the samples are split into epochs, and from each epoch the segment covering the dmers occurring in the most samples
+ * is added to the dictionary, the dmers already covered don't count for the next segments
+ * NOTE: this is a raw content dictionary, without the entropy tables zstd --train adds
+ * @param {Array<Buffer>} samples serialized values
+ * @param {number} [size=DICTIONARY_SIZE] max size of the dictionary (in bytes)
+ * @returns {Buffer}
+ */
+function trainDictionary(samples, size = DICTIONARY_SIZE) {
+	const data = Buffer.concat(samples);
+	if (data.length <= size) return data;
+
+	const frequencies = new Map();
+	const dmers = new Int32Array(data.length);
+	let offset = 0;
+	samples.forEach((sample) => {
+		const seen = new Set();
+		for (let i = offset; i + DICTIONARY_DMER_SIZE <= offset + sample.length; i++) {
+			const dmer = dmerHash(data, i);
+			dmers[i] = dmer;
+			if (seen.has(dmer)) continue;
+			seen.add(dmer);
+			frequencies.set(dmer, (frequencies.get(dmer) || 0) + 1);
+		}
+		offset += sample.length;
+	});
+
+	const segmentDmers = DICTIONARY_SEGMENT_SIZE - DICTIONARY_DMER_SIZE + 1;
+	const epochs = Math.max(1, Math.floor(size / DICTIONARY_SEGMENT_SIZE));
+	const epochSize = Math.ceil(data.length / epochs);
+	const segments = [];
+	let dictionarySize = 0;
+	for (let begin = 0; begin < data.length && dictionarySize < size; begin += epochSize) {
+		const segment = bestSegment(dmers, frequencies, begin, Math.min(begin + epochSize, data.length), segmentDmers);
+		if (!segment.score) continue;
+		for (let i = segment.start; i < segment.end; i++) {
+			frequencies.set(dmers[i], 0);
+		}
+		const content = data.subarray(segment.start, Math.min(segment.end + DICTIONARY_DMER_SIZE - 1, data.length));
+		segments.push(content.subarray(0, size - dictionarySize));
+		dictionarySize += content.length;
+	}
+	// the first segments are put at the end, closest to the data being compressed (like zstd does)
+	return Buffer.concat(segments.reverse());
+}
+
+/**
+ * compress a buffer if it is big enough and compression actually reduces its size
+ * @param {Buffer} buffer
+ * @param {CompressionOptions} compression
+ * @returns {Promise<{codec: object, payload: Buffer}>}
+ */
+async function compressMaybe(buffer, compression) {
+	const none = {codec: codecs.none, payload: buffer};
+	if (buffer.length < compression.threshold || compression.codec === 'none') return none;
+
+	const codec = codecs[compression.codec];
+	if (!codec.compress) return none;
+	const payload = await codec.compress(buffer, {
+		level: compression.level,
+		dictionary: compression.dictionary && compression.dictionary.data,
+	});
+	// don't store already compressed data (images etc.) compressed again
+	if (payload.length >= buffer.length) return none;
+	return {codec, payload};
+}
+
+/**
+ * encode a value with its metadata for storing in a file
+ * buffers are stored as is in the payload (unless a custom serializer is given)
+ * @param {object} meta {k, t, c, g, e, l, o, m}
+ * @param {any} value
+ * @param {Serializer} serializer resolved serializer
+ * @param {CompressionOptions} [compression]
+ * @param {Encryption|null} [encryption]
+ * @returns {Promise<Buffer>}
+ */
+async function encode({t, c, m, o, ...meta}, value, serializer, compression = defaultCompression, encryption = null) {
+	if (Buffer.isBuffer(value) && serializers[serializer.name]) {
+		serializer = resolveSerializer('raw');
+	}
+	const serialized = await serializer.serialize(value);
+	const compressed = await compressMaybe(serialized, compression);
+	const {codec} = compressed;
+	let {payload} = compressed;
+	const dictionaryId = (codec === codecs.zstd && compression.dictionary) ? compression.dictionary.id : undefined;
+
+	let metaBuffer = Buffer.from(JSON.stringify({...meta, o: o ?? (t || undefined), s: serializer.name, d: dictionaryId}));
+	let flags = m ? FLAG_STALE : 0;
+	if (encryption) {
+		const {id, key} = encryption.current;
+		const idBuffer = Buffer.from(id);
+		metaBuffer = Buffer.concat([Buffer.from([idBuffer.length]), idBuffer, encrypt(metaBuffer, key)]);
+		payload = encrypt(payload, key, metaBuffer);
+		flags |= FLAG_ENCRYPTED;
+	}
+
+	const header = Buffer.alloc(HEADER_SIZE);
+	MAGIC.copy(header, 0);
+	header[MAGIC.length] = VERSION;
+	header[OFFSET_CODEC] = codec.id;
+	header[OFFSET_FLAGS] = flags;
+	header.writeDoubleBE(c || 0, OFFSET_CREATED);
+	header.writeDoubleBE(t || 0, OFFSET_TTL);
+	checksum(payload).copy(header, OFFSET_CHECKSUM);
+	header.writeUInt32BE(metaBuffer.length, OFFSET_META_LENGTH);
+	return Buffer.concat([header, metaBuffer, payload]);
+}
+
+/**
+ * parse the header of an encoded buffer
+ * @param {Buffer} buffer
+ * @param {DecodeOptions} [options]
+ * @returns {{val: CacheValue, codec: number, length: number, key: Buffer, meta: Buffer}}
+ *  length is the total header length, if it is more than the buffer length, the header is incomplete
+ *  key is the encryption key of the payload (if encrypted), meta is the raw meta
+ */
+function parseHeader(buffer, options = {}) {
+	if (buffer.length < HEADER_SIZE) {
+		throw new CorruptEntryError('cache file is truncated');
+	}
+	const length = HEADER_SIZE + buffer.readUInt32BE(OFFSET_META_LENGTH);
+	if (buffer.length < length) return {length};
+	const meta = buffer.subarray(HEADER_SIZE, length);
+	let metaJson = meta;
+	let key;
+	if (buffer[OFFSET_FLAGS] & FLAG_ENCRYPTED) {
+		const idLength = meta[0];
+		key = getDecryptionKey(meta.subarray(1, 1 + idLength).toString(), options.encryption);
+		metaJson = decrypt(meta.subarray(1 + idLength), key);
+	}
+	const val = {
+		...JSON.parse(metaJson),
+		c: buffer.readDoubleBE(OFFSET_CREATED),
+		t: buffer.readDoubleBE(OFFSET_TTL),
+	};
+	if (buffer[OFFSET_FLAGS] & FLAG_STALE) val.m = true;
+	return {
+		val,
+		codec: buffer[OFFSET_CODEC],
+		length,
+		key,
+		meta,
+	};
+}
+
+/**
+ * @typedef {object} DecodeOptions
+ * @property {Object<string, Serializer>} [serializers] serializers other than the built in ones
+ * @property {function(string):Promise<Buffer>} [getDictionary] get a compression dictionary by its id
+ * @property {Encryption|null} [encryption] keys to decrypt the encrypted values with
+ */
+
+async function decompressPayload(payload, codecId, val, options) {
+	const codec = codecsById[codecId];
+	if (!codec) throw new CorruptEntryError(`unknown codec ${codecId}`);
+	if (!codec.decompress) return payload;
+
+	let dictionary;
+	if (val.d) {
+		if (!options.getDictionary) throw new Error(`dictionary ${val.d} is required to read this value`);
+		dictionary = await options.getDictionary(val.d);
+	}
+	return codec.decompress(payload, {dictionary});
+}
+
+/**
+ * decode the contents of a file
+ * @param {Buffer} buffer
+ * @param {DecodeOptions} [options]
+ * @returns {Promise<CacheValue>}
+ * @throws {CorruptEntryError} if the file is corrupted
+ */
+async function decode(buffer, options = {}) {
+	const version = getVersion(buffer);
+	if (version === 0) {
+		try {
+			return JSON.parse(await decompressMaybe(buffer));
+		}
+		catch (e) {
+			throw new CorruptEntryError(`invalid cache file: ${e.message}`);
+		}
+	}
+
+	let parsed;
+	let payload;
+	try {
+		parsed = parseHeader(buffer, options);
+		if (!parsed.val) throw new CorruptEntryError('cache file is truncated');
+		payload = buffer.subarray(parsed.length);
+		if (!checksum(payload).equals(buffer.subarray(OFFSET_CHECKSUM, OFFSET_CHECKSUM + CHECKSUM_SIZE))) {
+			throw new CorruptEntryError('checksum mismatch');
+		}
+		if (parsed.key) {
+			payload = decrypt(payload, parsed.key, parsed.meta);
+		}
+	}
+	catch (e) {
+		if (e instanceof CorruptEntryError || e instanceof MissingKeyError) throw e;
+		throw new CorruptEntryError(`invalid cache file: ${e.message}`);
+	}
+
+	const {val} = parsed;
+	// errors in getting the dictionary are not because of a corrupted file
+	payload = await decompressPayload(payload, parsed.codec, val, options).catch((e) => {
+		if (e.code && e.code.startsWith('Z_')) throw new CorruptEntryError(`invalid cache file: ${e.message}`);
+		throw e;
+	});
+	const {serializers: customSerializers = {}} = options;
+	const serializer = customSerializers[val.s] || serializers[val.s];
+	if (!serializer) {
+		throw new Error(`unknown serializer ${val.s}, pass it in the serializers option to read this value`);
+	}
+	val.v = await serializer.deserialize(payload);
+	return val;
+}
+
+/**
+ * read only the header (metadata) of a file, without the value
+ * @param {string} file
+ * @param {DecodeOptions} [options]
+ * @returns {Promise<CacheValue>} value object without v
+ * @throws {CorruptEntryError} if the header is corrupted
+ */
+async function readHeader(file, options = {}) {
+	const handle = await fs.open(file, 'r');
+	try {
+		const {version, parsed} = await readFileHeader(handle, options);
+		if (version === 0) {
+			// file written by an older version, the whole file needs to be read
+			const {v, ...val} = await decode(await handle.readFile(), options);
+			return val;
+		}
+		return parsed.val;
+	}
+	finally {
+		await handle.close();
+	}
+}
+
+/**
+ * read & parse the header of an open file
+ * @param {import('fs').promises.FileHandle} handle
+ * @param {DecodeOptions} options
+ * @returns {Promise<{version: number, parsed: object, buffer: Buffer}>} parsed header (see parseHeader)
+ *  and the bytes read, parsed is undefined for version 0
+ */
+async function readFileHeader(handle, options) {
+	let buffer = Buffer.alloc(HEADER_READ_SIZE);
+	const {bytesRead} = await handle.read(buffer, 0, HEADER_READ_SIZE, 0);
+	buffer = buffer.subarray(0, bytesRead);
+	const version = getVersion(buffer);
+	if (version === 0) return {version, buffer};
+
+	try {
+		let parsed = parseHeader(buffer, options);
+		if (!parsed.val && bytesRead === HEADER_READ_SIZE) {
+			buffer = Buffer.alloc(parsed.length);
+			const res = await handle.read(buffer, 0, parsed.length, 0);
+			buffer = buffer.subarray(0, res.bytesRead);
+			parsed = parseHeader(buffer, options);
+		}
+		if (!parsed.val) throw new CorruptEntryError('cache file is truncated');
+		return {version, parsed, buffer};
+	}
+	catch (e) {
+		if (e instanceof CorruptEntryError || e instanceof MissingKeyError) throw e;
+		throw new CorruptEntryError(`invalid cache file: ${e.message}`);
+	}
+}
+
+/**
+ * update the created time, ttl & stale flag of a file in place (without rewriting the payload)
+ * @param {string} file
+ * @param {{c: number, t: number, m: boolean}} times m: whether it is marked stale
+ *  without c & t only the stale flag is updated (eg. when the meta can't be decrypted)
+ * @returns {Promise<boolean>} false if the file is written in an older version (and needs to be rewritten)
+ */
+async function writeTimes(file, {c, t, m}) {
+	const handle = await fs.open(file, 'r+');
+	try {
+		const buffer = Buffer.alloc(OFFSET_FLAGS + 1);
+		const {bytesRead} = await handle.read(buffer, 0, buffer.length, 0);
+		if (bytesRead < buffer.length || getVersion(buffer) !== VERSION) return false;
+
+		const flags = m ? (buffer[OFFSET_FLAGS] | FLAG_STALE) : (buffer[OFFSET_FLAGS] & ~FLAG_STALE);
+		if (flags !== buffer[OFFSET_FLAGS]) {
+			await handle.write(Buffer.from([flags]), 0, 1, OFFSET_FLAGS);
+		}
+		if (c === undefined && t === undefined) return true;
+		const times = Buffer.alloc(OFFSET_CHECKSUM - OFFSET_CREATED);
+		times.writeDoubleBE(c || 0, 0);
+		times.writeDoubleBE(t || 0, OFFSET_TTL - OFFSET_CREATED);
+		await handle.write(times, 0, times.length, OFFSET_CREATED);
+		return true;
+	}
+	finally {
+		await handle.close();
+	}
+}
+
+/**
+ * split a stream into chunks of at least size bytes (except the last one)
+ * @param {AsyncIterable<Buffer|string>} stream
+ * @param {number} size
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* rechunk(stream, size) {
+	let chunks = [];
+	let length = 0;
+	for await (const chunk of stream) {
+		const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+		chunks.push(buffer);
+		length += buffer.length;
+		if (length >= size) {
+			yield Buffer.concat(chunks, length);
+			chunks = [];
+			length = 0;
+		}
+	}
+	if (length) yield Buffer.concat(chunks, length);
+}
+
+/**
+ * pipe a stream through a transform stream (errors of both are thrown while reading the transform)
+ * @param {AsyncIterable<Buffer>} stream
+ * @param {import('stream').Transform} transform
+ * @returns {import('stream').Transform}
+ */
+function pipeThrough(stream, transform) {
+	pipeline(stream, transform, () => {});
+	return transform;
+}
+
+async function* compressFrames(stream, level = 3) {
+	for await (const chunk of rechunk(stream, STREAM_CHUNK_SIZE)) {
+		const frame = await compress(chunk, level);
+		const length = Buffer.alloc(RECORD_LENGTH_SIZE);
+		length.writeUInt32BE(frame.length);
+		yield Buffer.concat([length, frame]);
+	}
+}
+
+async function* decompressFrames(stream) {
+	const frames = readLengthPrefixed(stream, {
+		truncated: () => new CorruptEntryError('compressed value is truncated'),
+	});
+	for await (const frame of frames) {
+		yield await decompress(frame);
+	}
+}
+
+/**
+ * compress a stream (dictionaries are not used for streams)
+ * @param {AsyncIterable<Buffer>} stream
+ * @param {CompressionOptions} compression
+ * @returns {{codec: object, chunks: AsyncIterable<Buffer>}}
+ */
+function compressStream(stream, compression) {
+	if (compression.codec === 'zstd' || compression.codec === 'zstd-frames') {
+		return {codec: codecs['zstd-frames'], chunks: compressFrames(stream, compression.level)};
+	}
+	const codec = codecs[compression.codec];
+	if (!codec.createCompress) return {codec: codecs.none, chunks: stream};
+	return {codec, chunks: pipeThrough(stream, codec.createCompress({level: compression.level}))};
+}
+
+/**
+ * encode a value from a stream into an (empty) file, for values too large to keep in memory
+ * the header is written last, when the checksum of the payload is known
+ * @param {import('fs').promises.FileHandle} handle
+ * @param {object} meta {k, t, c, g, e, l, o, m}
+ * @param {AsyncIterable<Buffer>} stream
+ * @param {CompressionOptions} [compression]
+ * @param {Encryption|null} [encryption]
+ * @returns {Promise<number>} bytes written
+ */
+async function encodeStream(handle, {t, c, m, o, ...meta}, stream, compression = defaultCompression, encryption = null) {
+	const {codec, chunks} = compressStream(stream, compression);
+	let metaBuffer = Buffer.from(JSON.stringify({...meta, o: o ?? (t || undefined), s: 'raw'}));
+	let flags = m ? FLAG_STALE : 0;
+	let cipher;
+	let iv;
+	if (encryption) {
+		const {id, key} = encryption.current;
+		const idBuffer = Buffer.from(id);
+		metaBuffer = Buffer.concat([Buffer.from([idBuffer.length]), idBuffer, encrypt(metaBuffer, key)]);
+		iv = crypto.randomBytes(IV_SIZE);
+		cipher = crypto.createCipheriv(CIPHER, key, iv);
+		cipher.setAAD(metaBuffer);
+		flags |= FLAG_ENCRYPTED;
+	}
+
+	const payloadStart = HEADER_SIZE + metaBuffer.length;
+	await handle.write(metaBuffer, 0, metaBuffer.length, HEADER_SIZE);
+	// iv & auth tag are written before the encrypted payload, once the auth tag is known
+	let position = payloadStart + (cipher ? IV_SIZE + AUTH_TAG_SIZE : 0);
+	const hash = crypto.createHash('sha256');
+	const write = async (buffer) => {
+		if (!buffer.length) return;
+		if (!cipher) hash.update(buffer);
+		await handle.write(buffer, 0, buffer.length, position);
+		position += buffer.length;
+	};
+	for await (const chunk of chunks) {
+		const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+		await write(cipher ? cipher.update(buffer) : buffer);
+	}
+
+	if (cipher) {
+		await write(cipher.final());
+		const ivTag = Buffer.concat([iv, cipher.getAuthTag()]);
+		await handle.write(ivTag, 0, ivTag.length, payloadStart);
+		// the checksum starts with the auth tag, so it can only be calculated by reading the payload back
+		for await (const chunk of readFrom(handle, payloadStart)) {
+			hash.update(chunk);
+		}
+	}
+
+	const header = Buffer.alloc(HEADER_SIZE);
+	MAGIC.copy(header, 0);
+	header[MAGIC.length] = VERSION;
+	header[OFFSET_CODEC] = codec.id;
+	header[OFFSET_FLAGS] = flags;
+	header.writeDoubleBE(c || 0, OFFSET_CREATED);
+	header.writeDoubleBE(t || 0, OFFSET_TTL);
+	hash.digest().subarray(0, CHECKSUM_SIZE).copy(header, OFFSET_CHECKSUM);
+	header.writeUInt32BE(metaBuffer.length, OFFSET_META_LENGTH);
+	await handle.write(header, 0, HEADER_SIZE, 0);
+	return position;
+}
+
+/**
+ * read an open file from a position till the end
+ * @param {import('fs').promises.FileHandle} handle
+ * @param {number} position
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* readFrom(handle, position) {
+	while (true) {
+		const buffer = Buffer.alloc(STREAM_CHUNK_SIZE);
+		const {bytesRead} = await handle.read(buffer, 0, STREAM_CHUNK_SIZE, position);
+		if (!bytesRead) return;
+		position += bytesRead;
+		yield buffer.subarray(0, bytesRead);
+	}
+}
+
+/**
+ * read the payload of a file, the checksum is verified at the end
+ * @param {import('fs').promises.FileHandle} handle
+ * @param {number} position start of the payload
+ * @param {Buffer} expected checksum
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* readPayload(handle, position, expected) {
+	const hash = crypto.createHash('sha256');
+	for await (const chunk of readFrom(handle, position)) {
+		hash.update(chunk);
+		yield chunk;
+	}
+	if (!hash.digest().subarray(0, CHECKSUM_SIZE).equals(expected)) {
+		throw new CorruptEntryError('checksum mismatch');
+	}
+}
+
+async function* decryptStream(stream, key, additionalData) {
+	let decipher;
+	for await (const chunk of rechunk(stream, IV_SIZE + AUTH_TAG_SIZE)) {
+		let data = chunk;
+		if (!decipher) {
+			decipher = crypto.createDecipheriv(CIPHER, key, chunk.subarray(0, IV_SIZE));
+			decipher.setAuthTag(chunk.subarray(IV_SIZE, IV_SIZE + AUTH_TAG_SIZE));
+			decipher.setAAD(additionalData);
+			data = chunk.subarray(IV_SIZE + AUTH_TAG_SIZE);
+		}
+		yield decipher.update(data);
+	}
+	if (!decipher) throw new CorruptEntryError('encrypted data is truncated');
+	try {
+		yield decipher.final();
+	}
+	catch (e) {
+		throw new CorruptEntryError(`could not decrypt: ${e.message}`);
+	}
+}
+
+/**
+ * decode a file as a stream of the value (which must be a buffer), for values too large to keep in memory
+ * NOTE: corruption (checksum / auth tag mismatch) is detected only at the end of the stream
+ * @param {import('fs').promises.FileHandle} handle
+ * @param {DecodeOptions} [options]
+ * @returns {Promise<{val: CacheValue, chunks: AsyncIterable<Buffer>}>} val is the metadata (without v)
+ * @throws {CorruptEntryError} if the header is corrupted
+ */
+async function decodeStream(handle, options = {}) {
+	const {version, parsed, buffer} = await readFileHeader(handle, options);
+	if (version === 0) {
+		// file written by an older version, the whole file needs to be read
+		const {v, ...val} = await decode(await handle.readFile(), options);
+		if (!Buffer.isBuffer(v)) throw new Error('value is not a buffer');
+		return {val, chunks: [v]};
+	}
+
+	const {val, codec: codecId, length, key, meta} = parsed;
+	if (val.s !== 'raw') throw new Error('value is not a buffer');
+	const codec = codecsById[codecId];
+	if (!codec) throw new CorruptEntryError(`unknown codec ${codecId}`);
+
+	let dictionary;
+	if (val.d) {
+		if (!options.getDictionary) throw new Error(`dictionary ${val.d} is required to read this value`);
+		dictionary = await options.getDictionary(val.d);
+	}
+
+	let chunks = readPayload(handle, length, buffer.subarray(OFFSET_CHECKSUM, OFFSET_CHECKSUM + CHECKSUM_SIZE));
+	if (key) chunks = decryptStream(chunks, key, meta);
+	if (codec === codecs['zstd-frames']) {
+		chunks = decompressFrames(chunks);
+	}
+	else if (codec.createDecompress) {
+		chunks = pipeThrough(chunks, codec.createDecompress());
+	}
+	else if (codec.decompress) {
+		// codecs without a stream decompressor, values written by set are small enough to read at once
+		chunks = decompressAll(chunks, codec, dictionary);
+	}
+	return {val, chunks};
+}
+
+async function* decompressAll(stream, codec, dictionary) {
+	const chunks = [];
+	for await (const chunk of stream) {
+		chunks.push(chunk);
+	}
+	yield await codec.decompress(Buffer.concat(chunks), {dictionary});
+}
+
+/**
+ * header of an archive
+ * @returns {Buffer}
+ */
+function archiveHeader() {
+	return Buffer.concat([ARCHIVE_MAGIC, Buffer.from([ARCHIVE_VERSION])]);
+}
+
+/**
+ * a record of an archive
+ * @param {Buffer} data encoded entry
+ * @returns {Buffer}
+ */
+function archiveRecord(data) {
+	const length = Buffer.alloc(RECORD_LENGTH_SIZE);
+	length.writeUInt32BE(data.length);
+	return Buffer.concat([length, data]);
+}
+
+/**
+ * read records prefixed with their length (uint32) from a stream
+ * @param {AsyncIterable<Buffer>} stream
+ * @param {object} options
+ * @param {number} [options.headerSize=0] bytes before the first record, yielded as the first item
+ * @param {function():Error} options.truncated error to throw if the stream ends in the middle of a record
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* readLengthPrefixed(stream, {headerSize = 0, truncated}) {
+	let chunks = [];
+	let length = 0;
+	// take n bytes from the buffered chunks (they are concatenated only when n bytes are available)
+	const take = (n) => {
+		const buffer = (chunks.length === 1) ? chunks[0] : Buffer.concat(chunks, length);
+		const rest = buffer.subarray(n);
+		chunks = rest.length ? [rest] : [];
+		length = rest.length;
+		return buffer.subarray(0, n);
+	};
+
+	// header => length => record => length => record ...
+	let state = headerSize ? 'header' : 'length';
+	let needed = headerSize || RECORD_LENGTH_SIZE;
+	for await (const chunk of stream) {
+		chunks.push(chunk);
+		length += chunk.length;
+		while (length >= needed) {
+			const data = take(needed);
+			if (state === 'length') {
+				state = 'record';
+				needed = data.readUInt32BE(0);
+				continue;
+			}
+			yield data;
+			state = 'length';
+			needed = RECORD_LENGTH_SIZE;
+		}
+	}
+	if (state !== 'length' || length) {
+		throw truncated();
+	}
+}
+
+/**
+ * read the records (encoded entries) of an archive
+ * @param {AsyncIterable<Buffer>} stream
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* readArchive(stream) {
+	const records = readLengthPrefixed(stream, {
+		headerSize: ARCHIVE_MAGIC.length + 1,
+		truncated: () => new Error('cache archive is truncated'),
+	});
+	let header = true;
+	for await (const data of records) {
+		if (header) {
+			if (!ARCHIVE_MAGIC.equals(data.subarray(0, ARCHIVE_MAGIC.length))) {
+				throw new Error('not a cache archive');
+			}
+			if (data[ARCHIVE_MAGIC.length] > ARCHIVE_VERSION) {
+				throw new Error(`unsupported cache archive version ${data[ARCHIVE_MAGIC.length]}`);
+			}
+			header = false;
+			continue;
+		}
+		yield data;
+	}
+}
+
+module.exports = {
+	VERSION,
+	DICTIONARY_SIZE,
+	codecs,
+	trainDictionary,
+	resolveCompression,
+	CorruptEntryError,
+	MissingKeyError,
+	resolveEncryption,
+	serializers,
+	resolveSerializer,
+	getVersion,
+	encode,
+	decode,
+	readHeader,
+	writeTimes,
+	encodeStream,
+	decodeStream,
+	archiveHeader,
+	archiveRecord,
+	readArchive,
+};
@@ -1,79 +1,779 @@
 const {BaseCache} = require('./BaseCache');
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
 const crypto = require('crypto');
-const {compress, decompress} = require('@mongodb-js/zstd');
+const {Readable} = require('stream');
+const {pipeline} = require('stream/promises');
+const {
+	VERSION,
+	DICTIONARY_SIZE,
+	trainDictionary,
+	resolveCompression,
+	CorruptEntryError,
+	MissingKeyError,
+	resolveEncryption,
+	serializers,
+	resolveSerializer,
+	getVersion,
+	encode,
+	decode,
+	readHeader,
+	writeTimes,
+	encodeStream,
+	decodeStream,
+	archiveHeader,
+	archiveRecord,
+	readArchive,
+} = require('./format');
+const {httpMiddleware, koaMiddleware} = require('./middleware');
+const {cachedFetch} = require('./fetch');
 
 let writeCount = 0;
 const RANDOM = Math.random().toString(36).substring(2);
+const TMP_PREFIX = '_tmp_';
+// temp files older than this are leftovers of crashed writes
+const TMP_FILE_TTL = 3600 * 1000;
+const USAGE_FILE = '.usage';
+// file in the prefix directory containing the id of the dictionary to compress with
+const DICTIONARY_FILE = '.dictionary';
+// id => Promise<Buffer>
+const dictionaries = new Map();
+const USAGE_FLUSH_DELAY = 1000;
+// evict entries till the cache is this fraction of the limits
+// so that every set after the limit is reached does not cause an eviction
+const EVICT_RATIO = 0.9;
+const HOSTNAME = os.hostname();
+let lockCount = 0;
 
-async function compressMaybe(buffer) {
-	if (buffer.length < 256) return buffer;
-	return compress(buffer, 3);
+function hash(str, hashKey = null) {
+	const hasher = hashKey ? crypto.createHmac('sha256', hashKey) : crypto.createHash('sha256');
+	return hasher.update(str, 'binary').digest('base64').replace(/[+=/]/g, '').substring(0, 17);
 }
 
-async function decompressMaybe(buffer) {
-	if (buffer.length < 64) return buffer;
-	if (buffer[3] === 0xFD && buffer[2] === 0x2F && buffer[1] === 0xB5 && buffer[0] === 0x28) {
-		return decompress(buffer);
+function isProcessAlive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
 	}
-	return buffer;
+	catch (e) {
+		return e.code === 'EPERM';
+	}
+}
+
+/**
+ * sub directories of a hashed file name
+ * @param {string} name hashed file name
+ * @param {Array<number>} [shard] number of characters of the hash in each level
+ * @returns {string} eg. ab/cd for shard [2, 2]
+ */
+function shardPath(name, shard) {
+	if (!shard || !shard.length) return '';
+	const dirs = [];
+	let start = 0;
+	for (const length of shard) {
+		dirs.push(name.substring(start, start + length));
+		start += length;
+	}
+	return dirs.join('/');
+}
+
+/**
+ * remove all the empty directories inside a directory
+ * @param {string} dir
+ * @returns {Promise<boolean>} whether the directory itself is empty
+ */
+async function removeEmptyDirs(dir) {
+	let dirents;
+	try {
+		dirents = await fs.readdir(dir, {withFileTypes: true});
+	}
+	catch (e) {
+		return false;
+	}
+
+	let empty = true;
+	for (const dirent of dirents) {
+		if (!dirent.isDirectory()) {
+			empty = false;
+			continue;
+		}
+		const subDir = path.join(dir, dirent.name);
+		if (await removeEmptyDirs(subDir)) {
+			await fs.rmdir(subDir).catch(() => {});
+		}
+		else {
+			empty = false;
+		}
+	}
+	return empty;
+}
+
+function isTempFile(file) {
+	return path.basename(file).startsWith(TMP_PREFIX);
 }
 
-function hash(str) {
-	return crypto.createHash('sha256').update(str, 'binary').digest('base64').replace(/[+=/]/g, '').substring(0, 17);
+/**
+ * recursively list all the cache files (and leftover temp files) in a directory
+ * @param {string} dir
+ * @returns {AsyncGenerator<string>}
+ */
+async function* walk(dir) {
+	let dirents;
+	try {
+		dirents = await fs.readdir(dir, {withFileTypes: true});
+	}
+	catch (e) {
+		if (e.code === 'ENOENT') return;
+		throw e;
+	}
+
+	for (const dirent of dirents) {
+		const file = path.join(dir, dirent.name);
+		if (dirent.isDirectory()) {
+			yield* walk(file);
+		}
+		else if (dirent.isFile() && dirent.name.endsWith('.fc')) {
+			yield file;
+		}
+	}
+}
+
+/**
+ * tracks size and access recency / frequency of the files in a prefix directory
+ * access info is persisted in a usage file in the directory so it survives restarts
+ */
+class Usage {
+	static instances = new Map();
+
+	/**
+	 * @param {string} dir
+	 * @returns {Usage}
+	 */
+	static get(dir) {
+		let usage = this.instances.get(dir);
+		if (!usage) {
+			usage = new Usage(dir);
+			this.instances.set(dir, usage);
+		}
+		return usage;
+	}
+
+	/**
+	 * forget a deleted file in the usage of the directory containing it (if it is tracked)
+	 * @param {string} file
+	 */
+	static removeFile(file) {
+		for (const [dir, usage] of this.instances) {
+			if (file.startsWith(`${dir}/`)) usage.remove(file);
+		}
+	}
+
+	constructor(dir) {
+		this.dir = dir;
+		this.file = `${dir}/${USAGE_FILE}`;
+		// name => {s: size, a: last access time, n: number of accesses}
+		this.entries = new Map();
+		this.size = 0;
+		this.scanned = null;
+		this.evicting = null;
+		this.flushTimer = null;
+	}
+
+	_name(file) {
+		return path.relative(this.dir, file);
+	}
+
+	async _readSaved() {
+		try {
+			return JSON.parse(await fs.readFile(this.file, 'utf8'));
+		}
+		catch (e) {
+			return {};
+		}
+	}
+
+	/**
+	 * rebuild the entries from the files on disk, the saved usage and the current usage
+	 */
+	async scan() {
+		const saved = await this._readSaved();
+		const entries = new Map();
+		let size = 0;
+		for await (const file of walk(this.dir)) {
+			if (isTempFile(file)) continue;
+			let stat;
+			try {
+				stat = await fs.stat(file);
+			}
+			catch (e) {
+				continue;
+			}
+			const name = this._name(file);
+			const [a = stat.mtimeMs, n = 0] = saved[name] || [];
+			const current = this.entries.get(name);
+			entries.set(name, {
+				s: stat.size,
+				a: Math.max(a, current ? current.a : 0),
+				n: Math.max(n, current ? current.n : 0),
+			});
+			size += stat.size;
+		}
+		this.entries = entries;
+		this.size = size;
+	}
+
+	async ready() {
+		if (!this.scanned) this.scanned = this.scan();
+		return this.scanned;
+	}
+
+	access(file) {
+		const entry = this.entries.get(this._name(file));
+		if (!entry) return;
+		entry.a = Date.now();
+		entry.n++;
+		this._scheduleFlush();
+	}
+
+	add(file, size) {
+		const name = this._name(file);
+		const entry = this.entries.get(name);
+		if (entry) {
+			this.size += size - entry.s;
+			entry.s = size;
+			entry.a = Date.now();
+		}
+		else {
+			this.size += size;
+			this.entries.set(name, {s: size, a: Date.now(), n: 1});
+		}
+		this._scheduleFlush();
+	}
+
+	remove(file) {
+		const name = this._name(file);
+		const entry = this.entries.get(name);
+		if (!entry) return;
+		this.size -= entry.s;
+		this.entries.delete(name);
+		this._scheduleFlush();
+	}
+
+	/**
+	 * forget all the entries (or the entries under a sub directory)
+	 * @param {string} [dir]
+	 */
+	reset(dir) {
+		if (!dir || dir === this.dir) {
+			this.entries = new Map();
+			this.size = 0;
+			return;
+		}
+		const prefix = `${this._name(dir)}/`;
+		for (const [name, entry] of this.entries) {
+			if (!name.startsWith(prefix)) continue;
+			this.size -= entry.s;
+			this.entries.delete(name);
+		}
+		this._scheduleFlush();
+	}
+
+	_scheduleFlush() {
+		if (this.flushTimer) return;
+		this.flushTimer = setTimeout(() => {
+			this.flushTimer = null;
+			this.flush().catch(() => {});
+		}, USAGE_FLUSH_DELAY);
+		this.flushTimer.unref();
+	}
+
+	/**
+	 * save the usage to disk, merging it with the usage saved by other processes
+	 */
+	async flush() {
+		const saved = await this._readSaved();
+		const data = {};
+		for (const [name, entry] of this.entries) {
+			const [a = 0, n = 0] = saved[name] || [];
+			data[name] = [Math.max(a, entry.a), Math.max(n, entry.n)];
+		}
+		const tempFileName = `${this.dir}/${TMP_PREFIX}${writeCount++}_${RANDOM}${USAGE_FILE}`;
+		await fs.mkdir(this.dir, {recursive: true});
+		await fs.writeFile(tempFileName, JSON.stringify(data));
+		await fs.rename(tempFileName, this.file);
+	}
+
+	_isOver({maxSize, maxEntries}, ratio = 1) {
+		return (maxSize > 0 && this.size > maxSize * ratio) ||
+			(maxEntries > 0 && this.entries.size > maxEntries * ratio);
+	}
+
+	/**
+	 * evict the least recently (lru) or least frequently (lfu) used entries
+	 * if the limits are exceeded
+	 * @param {object} limits
+	 * @param {number} [limits.maxSize] max size in bytes
+	 * @param {number} [limits.maxEntries] max number of entries
+	 * @param {string} [limits.eviction='lru'] lru or lfu
+	 * @param {string} [keep] file that should not be evicted
+	 * @param {function(string):Promise<string|undefined>} [beforeEvict]
+	 *  called with each file before it is evicted, returns the key of the file
+	 * @returns {Promise<PruneResult & {keys: Array<string>}>} keys of the evicted entries (that could be read)
+	 */
+	async evict(limits, keep, beforeEvict) {
+		if (!this._isOver(limits)) return {entries: 0, bytes: 0, keys: []};
+		if (this.evicting) {
+			// already being evicted by some other call, which reports the evicted entries
+			await this.evicting;
+			return {entries: 0, bytes: 0, keys: []};
+		}
+		this.evicting = this._evict(limits, keep && this._name(keep), beforeEvict).finally(() => {
+			this.evicting = null;
+		});
+		return this.evicting;
+	}
+
+	async _evict(limits, keep, beforeEvict) {
+		const result = {entries: 0, bytes: 0, keys: []};
+		// other processes might have changed the directory
+		await this.scan();
+		if (!this._isOver(limits)) return result;
+
+		const compare = (limits.eviction === 'lfu') ?
+			((x, y) => (x[1].n - y[1].n) || (x[1].a - y[1].a)) :
+			((x, y) => x[1].a - y[1].a);
+		const candidates = [...this.entries].filter(([name]) => name !== keep).sort(compare);
+		for (const [name, entry] of candidates) {
+			if (!this._isOver(limits, EVICT_RATIO)) break;
+			const file = path.join(this.dir, name);
+			const key = beforeEvict && (await beforeEvict(file).catch(() => undefined));
+			if (key !== undefined) result.keys.push(key);
+			try {
+				await fs.unlink(file);
+			}
+			catch (e) {
+				if (e.code !== 'ENOENT') throw e;
+			}
+			this.size -= entry.s;
+			this.entries.delete(name);
+			result.entries++;
+			result.bytes += entry.s;
+		}
+		await this.flush();
+		return result;
+	}
 }
 
 class FileCacheBackend extends BaseCache.Backend {
 	static KEY_SEPARATOR = '\v/';
 	static CACHE_DIR = `${process.cwd()}/cache`;
 
+	constructor(opts = {}) {
+		super(opts);
+		const options = this.cache.options;
+		const cls = this.CacheClass;
+		this.dir = options.dir ? path.resolve(options.dir) : null;
+		this.shard = options.shard ?? cls.shard;
+		this.limits = {
+			maxSize: options.maxSize ?? cls.maxSize,
+			maxEntries: options.maxEntries ?? cls.maxEntries,
+			eviction: options.eviction ?? cls.eviction,
+		};
+		this.lockTimeout = options.lockTimeout ?? cls.lockTimeout;
+		this.serializer = resolveSerializer(options.serializer ?? cls.serializer);
+		// custom serializers to use while reading, by name
+		this.serializers = {...cls.serializers, ...options.serializers};
+		if (!serializers[this.serializer.name]) {
+			this.serializers[this.serializer.name] = this.serializer;
+		}
+		this.onCorrupt = options.onCorrupt ?? cls.onCorrupt;
+		this.corruptEntries = 0;
+		this.compression = resolveCompression(options.compression ?? cls.compression);
+		this._dictionary = null;
+		this.encryption = resolveEncryption(
+			options.encryptionKey ?? cls.encryptionKey,
+			options.decryptionKeys ?? cls.decryptionKeys,
+		);
+		this.hashKey = options.hashKey ?? cls.hashKey ?? null;
+		if (!this.hashKey && this.encryption) {
+			// keys are hashed with a secret so that the file names don't reveal guessable keys
+			this.hashKey = Buffer.from(crypto.hkdfSync('sha256', this.encryption.current.key, '', 'file-cache file names', 32));
+		}
+	}
+
+	/**
+	 * root directory of the cache
+	 * @type {string}
+	 */
+	get cacheDir() {
+		return this.dir || this.constructor.CACHE_DIR;
+	}
+
+	get location() {
+		return this.cacheDir;
+	}
+
+	/**
+	 * usage tracker of the cache prefix (only if size limits are given)
+	 * @type {Usage|null}
+	 */
+	get usage() {
+		const {maxSize, maxEntries} = this.limits;
+		if (!(maxSize > 0) && !(maxEntries > 0)) return null;
+		return Usage.get(this.keyPathToDir(this.cache.keyPath));
+	}
+
 	keyToPath(key) {
 		const parts = key.split(this.constructor.KEY_SEPARATOR);
 		const end = parts.length - 1;
-		parts[end] = hash(parts[end]);
-		return this.constructor.CACHE_DIR + '/' + parts.join('/');
+		const name = hash(parts[end], this.hashKey);
+		const subDir = shardPath(name, this.shard);
+		parts[end] = subDir ? `${subDir}/${name}` : name;
+		return this.cacheDir + '/' + parts.join('/');
 	}
 
 	keyToFile(key) {
 		return `${this.keyToPath(key)}.fc`;
 	}
 
+	keyPathToDir(keyPath) {
+		return this.cacheDir + '/' + keyPath.split(this.constructor.KEY_SEPARATOR).join('/');
+	}
+
+	_resolveSerializer(serializer) {
+		if (!serializer) return this.serializer;
+		if (typeof serializer === 'string' && this.serializers[serializer]) {
+			return {name: serializer, ...this.serializers[serializer]};
+		}
+		const resolved = resolveSerializer(serializer);
+		if (!serializers[resolved.name]) {
+			this.serializers[resolved.name] = resolved;
+		}
+		return resolved;
+	}
+
 	/**
-	 * get the value from the real cache
-	 * @param {string} [key] key to get
-	 * @returns {Promise<CacheValue>} value object from the cache
+	 * resolve the compression options of a set call
+	 * @param {boolean|string|CompressionOptions} [compression] compression options of the call
+	 * @returns {Promise<CompressionOptions>}
 	 */
-	async get(key) {
+	async _resolveCompression(compression) {
+		const resolved = resolveCompression(compression, this.compression);
+		if (resolved.dictionary && this.encryption) {
+			throw new Error('compression dictionaries are not supported with encryption, they contain parts of the values');
+		}
+		if (resolved.dictionary !== true) return resolved;
+		return {...resolved, dictionary: await this._currentDictionary()};
+	}
+
+	_dictionaryKeyPath() {
+		return [this.CacheClass.CACHE_ID, '_dicts'].join(this.constructor.KEY_SEPARATOR);
+	}
+
+	/**
+	 * get a dictionary by its id
+	 * dictionaries are shared by all prefixes (id is the hash of the dictionary)
+	 * @param {string} id
+	 * @returns {Promise<Buffer>}
+	 */
+	async _getDictionary(id) {
+		const file = `${this.keyPathToDir(this._dictionaryKeyPath())}/${id}.dict`;
+		if (!dictionaries.has(file)) {
+			const promise = fs.readFile(file);
+			dictionaries.set(file, promise);
+			promise.catch(() => dictionaries.delete(file));
+		}
+		return dictionaries.get(file);
+	}
+
+	/**
+	 * get the dictionary trained for this prefix
+	 * @returns {Promise<{id: string, data: Buffer}|undefined>} undefined if no dictionary is trained
+	 */
+	async _currentDictionary() {
+		if (!this._dictionary) {
+			this._dictionary = (async () => {
+				const dictionaryFile = `${this.keyPathToDir(this.cache.keyPath)}/${DICTIONARY_FILE}`;
+				try {
+					const id = (await fs.readFile(dictionaryFile, 'utf8')).trim();
+					return {id, data: await this._getDictionary(id)};
+				}
+				catch (e) {
+					if (e.code === 'ENOENT') return undefined;
+					throw e;
+				}
+			})();
+			this._dictionary.catch(() => {
+				this._dictionary = null;
+			});
+		}
+		return this._dictionary;
+	}
+
+	/**
+	 * train a compression dictionary from the existing entries of a key path
+	 * values set after this (with compression.dictionary & the zstd codec) are compressed using it
+	 * the dictionary consists of the segments most common across the sampled values
+	 * (which for similar small values like api responses contain the common structure)
+	 * at most 10 times the dictionary size of values is sampled
+	 * @param {string} keyPath
+	 * @param {object} [options]
+	 * @param {number} [options.samples=1000] max number of entries to sample
+	 * @param {number} [options.size=112640] max size of the dictionary (in bytes)
+	 * @returns {Promise<{id: string, size: number, samples: number}|null>} null if there are no entries
+	 */
+	async trainDictionary(keyPath, {samples = 1000, size = DICTIONARY_SIZE} = {}) {
+		if (this.encryption) {
+			throw new Error('compression dictionaries are not supported with encryption, they contain parts of the values');
+		}
+		const buffers = [];
+		let sampledSize = 0;
+		for await (const entry of this.scan(keyPath, {values: true})) {
+			const serializer = Buffer.isBuffer(entry.v) ? this._resolveSerializer('raw') : this.serializer;
+			const buffer = (await serializer.serialize(entry.v)).subarray(0, size * 10 - sampledSize);
+			buffers.push(buffer);
+			sampledSize += buffer.length;
+			if (buffers.length >= samples || sampledSize >= size * 10) break;
+		}
+		if (!buffers.length) return null;
+
+		const data = trainDictionary(buffers, size);
+		const id = hash(data.toString('latin1'));
+
+		const dictionaryFile = `${this.keyPathToDir(this._dictionaryKeyPath())}/${id}.dict`;
+		await this._writeFile(dictionaryFile, data);
+		await this._writeFile(`${this.keyPathToDir(keyPath)}/${DICTIONARY_FILE}`, id);
+		this._dictionary = Promise.resolve({id, data});
+		return {id, size: data.length, samples: buffers.length};
+	}
+
+	/**
+	 * read and decode a cache file
+	 * @param {string} file
+	 * @returns {Promise<CacheValue|undefined>} undefined if the file does not exist or is corrupted
+	 */
+	async readFile(file) {
+		try {
+			const buffer = await fs.readFile(file);
+			this.cache._record('bytesRead', buffer.length);
+			return await decode(buffer, this._decodeOptions());
+		}
+		catch (e) {
+			return this._readError(file, e);
+		}
+	}
+
+	/**
+	 * read only the metadata of a cache file
+	 * @param {string} file
+	 * @returns {Promise<CacheValue|undefined>} undefined if the file does not exist or is corrupted
+	 */
+	async readHeader(file) {
 		try {
-			return JSON.parse(await decompressMaybe(
-				await fs.readFile(this.keyToFile(key))
-			));
+			return await readHeader(file, this._decodeOptions());
 		}
 		catch (e) {
-			if (e.code === 'ENOENT') {
-				return undefined;
+			return this._readError(file, e);
+		}
+	}
+
+	_decodeOptions() {
+		return {
+			serializers: this.serializers,
+			getDictionary: id => this._getDictionary(id),
+			encryption: this.encryption,
+		};
+	}
+
+	async _readError(file, e) {
+		if (e.code === 'ENOENT') return undefined;
+		if (e instanceof CorruptEntryError) {
+			await this._corrupt(file, e);
+			return undefined;
+		}
+		throw e;
+	}
+
+	/**
+	 * delete (or move to the quarantine directory) a corrupted file
+	 * @param {string} file
+	 * @param {Error} error
+	 */
+	async _corrupt(file, error) {
+		this.corruptEntries++;
+		this.cache._record('corrupt');
+		this.cache.logger.error(`[${this.CacheClass.name}] [${this.cache.prefix}] corrupt cache file ${file}: ${error.message}`);
+		try {
+			if (this.onCorrupt === 'quarantine') {
+				const keyPath = [this.CacheClass.CACHE_ID, '_corrupt'].join(this.constructor.KEY_SEPARATOR);
+				const dir = this.keyPathToDir(keyPath);
+				await fs.mkdir(dir, {recursive: true});
+				await fs.rename(file, `${dir}/${Date.now()}_${RANDOM}_${path.basename(file)}`);
 			}
-			throw e;
+			else {
+				await fs.unlink(file);
+			}
+		}
+		catch (e) {
+			if (e.code !== 'ENOENT') throw e;
 		}
+		const usage = this.usage;
+		if (usage) usage.remove(file);
+	}
+
+	/**
+	 * write a file atomically (by writing to a temp file and then renaming it)
+	 * @param {string} fileName
+	 * @param {Buffer} data
+	 */
+	async _writeFile(fileName, data) {
+		const tempFileName = await this._tempFile(fileName);
+		await fs.writeFile(tempFileName, data);
+		await fs.rename(tempFileName, fileName);
+	}
+
+	/**
+	 * name of a temp file to write a file to (its directory is created)
+	 * @param {string} fileName
+	 * @returns {Promise<string>}
+	 */
+	async _tempFile(fileName) {
+		const dir = path.dirname(fileName);
+		await fs.mkdir(dir, {recursive: true});
+		return `${dir}/${TMP_PREFIX}${writeCount++}_${RANDOM}_${path.basename(fileName)}`;
+	}
+
+	/**
+	 * get the value from the real cache
+	 * @param {string} [key] key to get
+	 * @returns {Promise<CacheValue>} value object from the cache
+	 */
+	async get(key) {
+		const file = this.keyToFile(key);
+		const val = await this.readFile(file);
+		const usage = this.usage;
+		if (val && usage) {
+			await usage.ready();
+			usage.access(file);
+		}
+		return val;
 	}
 
 	/**
 	 * set the value in the real cache
 	 * @param {string} [key] key to set
 	 * @param {any} [value] value to set
-	 * @param {object}
+	 * @param {CacheSetRealOptions}
 	 * @returns {Promise<any>}
 	 */
-	async set(key, value, {t, c} = {}) {
+	async set(key, value, {t, c, g, e, l, o, m, serializer, compression} = {}) {
 		const fileName = this.keyToFile(key);
-		const dir = path.dirname(fileName);
-		const tempFileName = `${dir}/_tmp_${writeCount++}_${RANDOM}_${path.basename(fileName)}`;
-		await fs.mkdir(dir, {recursive: true});
-		await fs.writeFile(tempFileName, await compressMaybe(
-			Buffer.from(JSON.stringify({t, c, v: value}))
-		));
+		const data = await encode(
+			{k: key, t, c, g, e, l, o, m},
+			value,
+			this._resolveSerializer(serializer),
+			await this._resolveCompression(compression),
+			this.encryption,
+		);
+		await this._writeFile(fileName, data);
+		await this._written(key, fileName, data.length, g);
+	}
+
+	/**
+	 * set a value from a stream, without keeping the value in memory
+	 * it is written to a temp file which is then renamed, like set
+	 * @param {string} key
+	 * @param {AsyncIterable<Buffer>} stream
+	 * @param {CacheSetRealOptions} [options] serializer is always raw
+	 * @returns {Promise<void>}
+	 */
+	async setStream(key, stream, {t, c, g, e, l, compression} = {}) {
+		const fileName = this.keyToFile(key);
+		const tempFileName = await this._tempFile(fileName);
+		// read & write, encrypted payloads are read back for the checksum
+		const handle = await fs.open(tempFileName, 'w+');
+		let size;
+		try {
+			size = await encodeStream(
+				handle,
+				{k: key, t, c, g, e, l},
+				stream,
+				resolveCompression(compression, this.compression),
+				this.encryption,
+			);
+		}
+		catch (err) {
+			await handle.close();
+			await fs.unlink(tempFileName).catch(() => {});
+			throw err;
+		}
+		await handle.close();
 		await fs.rename(tempFileName, fileName);
+		await this._written(key, fileName, size, g);
+	}
+
+	/**
+	 * update the tags & usage after writing a file
+	 * @param {string} key
+	 * @param {string} fileName
+	 * @param {number} size
+	 * @param {Array<string>} [tags]
+	 */
+	async _written(key, fileName, size, tags) {
+		this.cache._record('bytesWritten', size);
+		if (tags && tags.length) {
+			await this._addTags(fileName, tags);
+		}
+
+		const usage = this.usage;
+		if (usage) {
+			await usage.ready();
+			usage.add(fileName, size);
+			const {keys, ...evicted} = await usage.evict(this.limits, fileName, async (file) => {
+				const val = await this.readHeader(file);
+				if (!val) return undefined;
+				if (val.g) await this._removeTags(file, val.g);
+				return val.k;
+			});
+			if (evicted.entries) {
+				// evicted values must not be served from the local caches
+				this.cache._deleteLocal(keys);
+				this.cache._record('evicted', evicted.entries);
+				this.cache._emit('evict', {prefix: this.cache.prefix, ...evicted});
+			}
+		}
+	}
+
+	/**
+	 * get a value as a stream, without reading it into memory (the value must be a buffer)
+	 * @param {string} key
+	 * @returns {Promise<{val: CacheValue, stream: Readable}|undefined>}
+	 *  val is the metadata (without v), undefined if the file does not exist or is corrupted
+	 */
+	async getStream(key) {
+		const file = this.keyToFile(key);
+		let handle;
+		let result;
+		try {
+			handle = await fs.open(file, 'r');
+			result = await decodeStream(handle, this._decodeOptions());
+		}
+		catch (e) {
+			if (handle) await handle.close();
+			return this._readError(file, e);
+		}
+
+		const stream = Readable.from(result.chunks);
+		stream.once('close', () => {
+			handle.close().catch(() => {});
+		});
+		const usage = this.usage;
+		if (usage) {
+			await usage.ready();
+			usage.access(file);
+		}
+		return {val: result.val, stream};
 	}
 
 	/**
@@ -97,7 +797,23 @@ class FileCacheBackend extends BaseCache.Backend {
 	 * @returns {Promise<boolean>}
 	 */
 	async del(keys) {
-		await Promise.all(keys.map((key) => fs.unlink(this.keyToFile(key)).catch(e => {})));
+		await Promise.all(keys.map(async (key) => {
+			const file = this.keyToFile(key);
+			// the tags of the value are needed to remove it from the tag index
+			const val = await this.readHeader(file).catch(() => undefined);
+			await this._delFile(file, val);
+		}));
+	}
+
+	/**
+	 * delete a file and remove it from the usage & the tag index
+	 * @param {string} file
+	 * @param {CacheValue} [val] header of the file
+	 */
+	async _delFile(file, val) {
+		await fs.unlink(file).catch(e => {});
+		Usage.removeFile(file);
+		if (val && val.g) await this._removeTags(file, val.g);
 	}
 
 	/**
@@ -106,40 +822,899 @@ class FileCacheBackend extends BaseCache.Backend {
 	 * @returns {Promise<boolean>}
 	 */
 	async clear(keyPath) {
-		await fs.rm(this.keyToPath(keyPath), {
+		const dir = this.keyPathToDir(keyPath);
+		await fs.rm(dir, {
 			force: true,
 			maxRetries: 10,
 			recursive: true,
 		});
+		const usage = this.usage;
+		if (usage) usage.reset(dir);
+		await this._sweepTags(keyPath, {all: true});
 	}
 
 	/**
-	 * mark the keys as stale
-	 * @param {Array<string>} [keys] keys to mark stale
-	 * @returns {Promise<boolean>}
+	 * update the created time / ttl of the keys, or mark them as stale
+	 * only the header is updated in place, older files are rewritten
+	 * @param {Array<string>} [keys] keys to touch
+	 * @param {object} [options]
+	 * @param {number} [options.t] new ttl (default: keep)
+	 * @param {number} [options.c] new created time (default: keep)
+	 * @param {boolean} [options.stale] mark the keys stale (true) or fresh (false) (default: keep)
+	 * @returns {Promise<number>} number of keys touched
 	 */
-	async touch(keys, {t, c}) {
+	async touch(keys, {t, c, stale} = {}) {
+		let touched = 0;
 		await Promise.all(keys.map(async (key) => {
 			try {
-				const val = await this.get(key);
+				const file = this.keyToFile(key);
+				const val = await this.readHeader(file);
 				if (!val) return;
-				await this.set(key, val.v, {t: t ?? val.t, c: c ?? val.c});
+				const times = {c: c ?? val.c, t: t ?? val.t, m: stale ?? val.m};
+				if (!(await writeTimes(file, times))) {
+					const full = await this.get(key);
+					if (!full) return;
+					await this.set(key, full.v, {...times, g: full.g, e: full.e, l: full.l, o: full.o, serializer: full.s});
+				}
+				touched++;
 			}
 			catch (e) {
 				// ignore error
 			}
 		}));
+		return touched;
+	}
+
+	/**
+	 * get the value without actually reading the value (only created time, ttl and other metadata)
+	 * @param {string} key
+	 * @returns {Promise<CacheValue|undefined>}
+	 */
+	async head(key) {
+		return this.readHeader(this.keyToFile(key));
+	}
+
+	/**
+	 * delete all the expired keys under a key path
+	 * also deletes temp files left behind by crashed writes
+	 * @param {string} [keyPath] key path to prune
+	 * @returns {Promise<PruneResult>}
+	 */
+	async prune(keyPath) {
+		const result = {entries: 0, bytes: 0};
+		const now = Date.now();
+		const usage = this.usage;
+		for await (const file of walk(this.keyPathToDir(keyPath))) {
+			try {
+				if (isTempFile(file)) {
+					const stat = await fs.stat(file);
+					if (stat.mtimeMs > now - TMP_FILE_TTL) continue;
+					await fs.unlink(file);
+					result.bytes += stat.size;
+					continue;
+				}
+
+				const stat = await fs.stat(file);
+				const val = await this.readHeader(file);
+				// values within their stale-if-error window are kept
+				if (!val || !val.t || val.c >= now - val.t - (val.e || 0)) continue;
+				await fs.unlink(file);
+				if (usage) usage.remove(file);
+				if (val.g) await this._removeTags(file, val.g);
+				result.entries++;
+				result.bytes += stat.size;
+			}
+			catch (e) {
+				if (e.code === 'ENOENT') continue;
+				this.cache.logger.error(e);
+			}
+		}
+		// tag entries of values deleted in other ways (eg. by older versions or corrupt files)
+		await this._sweepTags(keyPath).catch((e) => {
+			this.cache.logger.error(e);
+		});
+		return result;
+	}
+
+	/**
+	 * move the files under a key path to the sub directories of a different shard setting
+	 * @param {string} keyPath
+	 * @param {Array<number>} shard new shard setting
+	 * @param {object} [options]
+	 * @param {Array<number>} [options.from] current shard setting of the files (default: shard option)
+	 * @returns {Promise<{moved: number, skipped: number}>}
+	 *  skipped are the files not in the sub directory they should be in according to the from setting
+	 */
+	async reshard(keyPath, shard, {from = this.shard} = {}) {
+		const result = {moved: 0, skipped: 0};
+		const dir = this.keyPathToDir(keyPath);
+		// collect the files first, otherwise we might walk over the moved files again
+		const files = [];
+		for await (const file of walk(dir)) {
+			if (!isTempFile(file)) files.push(file);
+		}
+
+		for (const file of files) {
+			const name = path.basename(file, '.fc');
+			const oldSubDir = shardPath(name, from);
+			let baseDir = path.dirname(file);
+			if (oldSubDir) {
+				if (!baseDir.endsWith(`/${oldSubDir}`)) {
+					result.skipped++;
+					continue;
+				}
+				baseDir = baseDir.substring(0, baseDir.length - oldSubDir.length - 1);
+			}
+
+			const newFile = path.join(baseDir, shardPath(name, shard), `${name}.fc`);
+			if (newFile === file) continue;
+			try {
+				// the tag entries contain the path of the file
+				const val = await this._readTagged(file).catch(() => undefined);
+				await fs.mkdir(path.dirname(newFile), {recursive: true});
+				await fs.rename(file, newFile);
+				if (val && val.g) {
+					await this._removeTags(file, val.g);
+					await this._addTags(newFile, val.g);
+				}
+				result.moved++;
+			}
+			catch (e) {
+				if (e.code !== 'ENOENT') throw e;
+			}
+		}
+
+		await removeEmptyDirs(dir);
+		const usage = this.usage;
+		if (usage) await usage.scan();
+		return result;
+	}
+
+	/**
+	 * rewrite the files written by older versions in the current format
+	 * (files in older formats are read transparently anyway)
+	 * @param {string} [keyPath] key path to migrate
+	 * @returns {Promise<{entries: number}>} number of entries migrated
+	 */
+	async migrate(keyPath) {
+		const result = {entries: 0};
+		for await (const file of walk(this.keyPathToDir(keyPath))) {
+			if (isTempFile(file)) continue;
+			try {
+				const stat = await fs.stat(file);
+				const buffer = await fs.readFile(file);
+				if (getVersion(buffer) === VERSION) continue;
+				const {v, k, t, c, g, e, l, o, m, s} = await decode(buffer, this._decodeOptions());
+				const data = await encode(
+					{k, t, c, g, e, l, o, m},
+					v,
+					this._resolveSerializer(s || 'json'),
+					await this._resolveCompression(),
+					this.encryption,
+				);
+				// don't overwrite the file if it was changed in the meantime
+				const {mtimeMs} = await fs.stat(file);
+				if (mtimeMs !== stat.mtimeMs) continue;
+				await this._writeFile(file, data);
+				result.entries++;
+			}
+			catch (e) {
+				if (e.code === 'ENOENT') continue;
+				if (e instanceof CorruptEntryError) {
+					await this._corrupt(file, e);
+					continue;
+				}
+				this.cache.logger.error(e);
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * read & check all the files under a key path (header, checksum and decoding of the value)
+	 * @param {string} keyPath
+	 * @param {object} [options]
+	 * @param {boolean} [options.fix=false] delete / quarantine (see onCorrupt) the corrupt files
+	 * @returns {Promise<{entries: number, errors: Array<{file: string, error: string, corrupt: boolean}>}>}
+	 *  entries is the number of valid entries,
+	 *  errors which are not corrupt are because of missing serializers, dictionaries or newer versions
+	 */
+	async verify(keyPath, {fix = false} = {}) {
+		const result = {entries: 0, errors: []};
+		for await (const file of walk(this.keyPathToDir(keyPath))) {
+			if (isTempFile(file)) continue;
+			try {
+				await decode(await fs.readFile(file), this._decodeOptions());
+				result.entries++;
+			}
+			catch (e) {
+				if (e.code === 'ENOENT') continue;
+				const corrupt = e instanceof CorruptEntryError;
+				result.errors.push({file, error: e.message, corrupt});
+				if (fix && corrupt) await this._corrupt(file, e);
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * rewrite the files under a key path with the current encryption key (and file names)
+	 * used after changing the encryption key (with the old one in decryptionKeys),
+	 * or after enabling / disabling encryption
+	 * @param {string} keyPath
+	 * @returns {Promise<{entries: number, skipped: number}>}
+	 *  entries is the number of files rewritten, skipped are the files that could not be read
+	 */
+	async reencrypt(keyPath) {
+		const result = {entries: 0, skipped: 0};
+		const usage = this.usage;
+		if (usage) await usage.ready();
+		// collect the files first, as the files might be renamed
+		const files = [];
+		for await (const file of walk(this.keyPathToDir(keyPath))) {
+			if (!isTempFile(file)) files.push(file);
+		}
+
+		for (const file of files) {
+			try {
+				const buffer = await fs.readFile(file);
+				const {v, k, t, c, g, e, l, o, m, s} = await decode(buffer, this._decodeOptions());
+				if (k === undefined) {
+					// written by an older version without the key, the new file name can't be found
+					result.skipped++;
+					continue;
+				}
+				const data = await encode(
+					{k, t, c, g, e, l, o, m},
+					v,
+					this._resolveSerializer(s || 'json'),
+					await this._resolveCompression(),
+					this.encryption,
+				);
+				const newFile = this.keyToFile(k);
+				await this._writeFile(newFile, data);
+				if (newFile !== file) {
+					await fs.unlink(file).catch(() => {});
+					if (usage) usage.remove(file);
+					if (g && g.length) await this._removeTags(file, g);
+				}
+				if (usage) usage.add(newFile, data.length);
+				if (g && g.length) await this._addTags(newFile, g);
+				result.entries++;
+			}
+			catch (err) {
+				if (err.code === 'ENOENT') continue;
+				if (err instanceof CorruptEntryError) {
+					await this._corrupt(file, err);
+					continue;
+				}
+				this.cache.logger.error(err);
+				result.skipped++;
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * encode the live entries under a key path for an archive (see export)
+	 * entries are decoded and encoded again (without dictionaries, as they are not portable)
+	 * @param {string} keyPath
+	 * @returns {AsyncGenerator<Buffer|null>} encoded entries, null for the skipped (expired or unreadable) entries
+	 */
+	async* exportEntries(keyPath) {
+		for await (const file of walk(this.keyPathToDir(keyPath))) {
+			if (isTempFile(file)) continue;
+			let data = null;
+			try {
+				const val = await this.readFile(file);
+				const expired = val && val.t && val.c + val.t < Date.now();
+				if (val && val.k !== undefined && !expired) {
+					const {v, k, t, c, g, e, l, o, m, s} = val;
+					data = await encode(
+						{k, t, c, g, e, l, o, m},
+						v,
+						this._resolveSerializer(s || 'json'),
+						resolveCompression({dictionary: false}, this.compression),
+						this.encryption,
+					);
+				}
+			}
+			catch (err) {
+				if (err.code === 'ENOENT') continue;
+				this.cache.logger.error(err);
+			}
+			yield data;
+		}
+	}
+
+	/**
+	 * directory containing the entries of the values having a tag
+	 * tags are shared by all the prefixes of a cache dir (whatever their shard, hash key & encryption),
+	 * so tag names are hashed without the hash key
+	 * @param {string} tag
+	 * @returns {string}
+	 */
+	tagToDir(tag) {
+		return `${this.tagsDir()}/${hash(tag)}`;
+	}
+
+	/**
+	 * directory containing the directories of all the tags
+	 * @returns {string}
+	 */
+	tagsDir() {
+		const keyPath = [this.CacheClass.CACHE_ID, '_tags'].join(this.constructor.KEY_SEPARATOR);
+		return this.keyPathToDir(keyPath);
+	}
+
+	/**
+	 * name & content of the tag entry of a file
+	 * the entry contains the path of the file (relative to the cache dir),
+	 * so that caches with other shard, hash key or encryption settings can find it
+	 * @param {string} file
+	 * @returns {{name: string, content: string}}
+	 */
+	_tagEntry(file) {
+		const content = path.relative(this.cacheDir, file);
+		return {name: hash(content), content};
+	}
+
+	async _addTags(file, tags) {
+		const {name, content} = this._tagEntry(file);
+		await Promise.all(tags.map(async (tag) => {
+			const tagFile = `${this.tagToDir(tag)}/${name}`;
+			await fs.mkdir(path.dirname(tagFile), {recursive: true});
+			await fs.writeFile(tagFile, content).catch(async (e) => {
+				// the (empty) directory of the tag was removed in the meantime
+				if (e.code !== 'ENOENT') throw e;
+				await fs.mkdir(path.dirname(tagFile), {recursive: true});
+				await fs.writeFile(tagFile, content);
+			});
+		}));
+	}
+
+	async _removeTags(file, tags) {
+		const {name} = this._tagEntry(file);
+		await Promise.all(tags.map(async (tag) => {
+			const dir = this.tagToDir(tag);
+			await fs.unlink(`${dir}/${name}`).catch(() => {});
+			// fails if other keys still have the tag
+			await fs.rmdir(dir).catch(() => {});
+		}));
+	}
+
+	/**
+	 * read the header of a tagged file, which might be written by a cache with other settings
+	 * @param {string} file
+	 * @returns {Promise<CacheValue|null|undefined>}
+	 *  undefined if the file does not exist, null if it is encrypted with a key this cache does not have
+	 */
+	async _readTagged(file) {
+		try {
+			return await this.readHeader(file);
+		}
+		catch (e) {
+			if (e instanceof MissingKeyError) return null;
+			throw e;
+		}
+	}
+
+	/**
+	 * remove the tag entries of the files under a key path that are gone (or no longer have the tag)
+	 * @param {string} [keyPath] key path of the files (default: all)
+	 * @param {object} [options]
+	 * @param {boolean} [options.all=false] remove the entries of all the files under the key path (eg. after clear)
+	 */
+	async _sweepTags(keyPath, {all = false} = {}) {
+		const tagsDir = this.tagsDir();
+		let tagNames;
+		try {
+			tagNames = await fs.readdir(tagsDir);
+		}
+		catch (e) {
+			if (e.code === 'ENOENT') return;
+			throw e;
+		}
+
+		const dirPrefix = (keyPath === undefined) ? '' : `${path.relative(this.cacheDir, this.keyPathToDir(keyPath))}/`;
+		for (const tagName of tagNames) {
+			const dir = `${tagsDir}/${tagName}`;
+			let names;
+			try {
+				names = await fs.readdir(dir);
+			}
+			catch (e) {
+				continue;
+			}
+			for (const name of names) {
+				const tagFile = `${dir}/${name}`;
+				try {
+					const relative = await fs.readFile(tagFile, 'utf8');
+					if (!relative.startsWith(dirPrefix)) continue;
+					if (!all) {
+						const val = await this._readTagged(path.join(this.cacheDir, relative));
+						// files encrypted with another key are kept as long as they exist
+						if (val === null) continue;
+						if (val && val.g && val.g.some(tag => hash(tag) === tagName)) continue;
+					}
+					await fs.unlink(tagFile);
+				}
+				catch (e) {
+					if (e.code !== 'ENOENT') throw e;
+				}
+			}
+			// fails if other keys still have the tag
+			await fs.rmdir(dir).catch(() => {});
+		}
+	}
+
+	/**
+	 * delete (or mark stale) all the values having any of the given tags (in all the prefixes)
+	 * values encrypted with a key this cache does not have are invalidated too,
+	 * though it can't check whether they still have the tag
+	 * @param {Array<string>} tags
+	 * @param {object} [options]
+	 * @param {boolean} [options.stale=false] mark the values stale instead of deleting them
+	 * @returns {Promise<Array<string|null>>} keys that were invalidated
+	 *  (null for the values encrypted with another key, whose key is not known)
+	 */
+	async invalidateTags(tags, {stale = false} = {}) {
+		const invalidated = new Map();
+		for (const tag of tags) {
+			const dir = this.tagToDir(tag);
+			let names;
+			try {
+				names = await fs.readdir(dir);
+			}
+			catch (e) {
+				if (e.code === 'ENOENT') continue;
+				throw e;
+			}
+
+			await Promise.all(names.map(async (name) => {
+				const tagFile = `${dir}/${name}`;
+				try {
+					const file = path.join(this.cacheDir, await fs.readFile(tagFile, 'utf8'));
+					const val = await this._readTagged(file);
+					// the value might have been set again without this tag
+					if (val === null || (val && val.g && val.g.includes(tag))) {
+						// files in older formats (whose header can't be updated in place) are deleted
+						if (!stale || !(await writeTimes(file, {m: true}))) {
+							await this._delFile(file, val);
+						}
+						invalidated.set(file, val ? val.k : null);
+						if (stale) return;
+					}
+				}
+				catch (e) {
+					if (e.code !== 'ENOENT' && !(e instanceof CorruptEntryError)) throw e;
+				}
+				await fs.unlink(tagFile).catch(() => {});
+			}));
+		}
+		return [...invalidated.values()];
+	}
+
+	/**
+	 * list all the entries under a key path
+	 * entries written by older versions (without the original key) are skipped
+	 * @param {string} [keyPath] key path to scan
+	 * @param {object} [options]
+	 * @param {boolean} [options.values=false] include the values too
+	 * @returns {AsyncGenerator<CacheEntry>}
+	 */
+	async* scan(keyPath, {values = false} = {}) {
+		for await (const file of walk(this.keyPathToDir(keyPath))) {
+			if (isTempFile(file)) continue;
+			try {
+				const [stat, val] = await Promise.all([
+					fs.stat(file),
+					values ? this.readFile(file) : this.readHeader(file),
+				]);
+				if (!val || val.k === undefined) continue;
+				const entry = {key: val.k, c: val.c, t: val.t, size: stat.size};
+				if (values) entry.v = val.v;
+				yield entry;
+			}
+			catch (e) {
+				if (e.code === 'ENOENT') continue;
+				this.cache.logger.error(e);
+			}
+		}
+	}
+
+	/**
+	 * check whether a lock file was left behind by a crashed process
+	 * @param {string} lockFile
+	 * @returns {Promise<boolean>}
+	 */
+	async _isStaleLock(lockFile) {
+		try {
+			const [stat, content] = await Promise.all([
+				fs.stat(lockFile),
+				fs.readFile(lockFile, 'utf8'),
+			]);
+			// lock holders refresh the mtime periodically
+			if (stat.mtimeMs < Date.now() - this.lockTimeout) return true;
+			const {pid, host} = JSON.parse(content);
+			return host === HOSTNAME && !isProcessAlive(pid);
+		}
+		catch (e) {
+			// lock was released in the meantime, or was not completely written yet
+			return false;
+		}
+	}
+
+	/**
+	 * remove a stale lock file
+	 * the lock is first renamed, so that if some other process reclaims it (and acquires a fresh lock)
+	 * in the meantime, we don't end up deleting the fresh lock
+	 * @param {string} lockFile
+	 */
+	async _reclaimLock(lockFile) {
+		const tempFileName = `${lockFile}.${RANDOM}_${lockCount++}`;
+		try {
+			await fs.rename(lockFile, tempFileName);
+		}
+		catch (e) {
+			return;
+		}
+		if (!(await this._isStaleLock(tempFileName))) {
+			// we moved a fresh lock, put it back (link does not overwrite a newer lock)
+			await fs.link(tempFileName, lockFile).catch(() => {});
+		}
+		await fs.unlink(tempFileName).catch(() => {});
+	}
+
+	/**
+	 * acquire a lock on the key that is shared between processes
+	 * locks of crashed processes are detected (and reclaimed) by pid on the same host
+	 * and by not being refreshed for lockTimeout otherwise
+	 * @param {string} [key] key to lock
+	 * @returns {Promise<function():Promise<void>|null>}
+	 *  function to release the lock, or null if the lock is held by someone else
+	 */
+	async lock(key) {
+		const lockFile = `${this.keyToPath(key)}.lock`;
+		const id = `${RANDOM}_${lockCount++}`;
+		const content = JSON.stringify({pid: process.pid, host: HOSTNAME, id});
+		const create = async () => {
+			try {
+				await fs.writeFile(lockFile, content, {flag: 'wx'});
+				return true;
+			}
+			catch (e) {
+				if (e.code === 'EEXIST') return false;
+				throw e;
+			}
+		};
+
+		await fs.mkdir(path.dirname(lockFile), {recursive: true});
+		if (!(await create())) {
+			if (!(await this._isStaleLock(lockFile))) return null;
+			await this._reclaimLock(lockFile);
+			if (!(await create())) return null;
+		}
+
+		// refresh the lock so that other processes know we are still alive
+		const timer = setInterval(() => {
+			const now = new Date();
+			fs.utimes(lockFile, now, now).catch(() => {});
+		}, this.lockTimeout / 3);
+		timer.unref();
+
+		return async () => {
+			clearInterval(timer);
+			try {
+				if (await fs.readFile(lockFile, 'utf8') === content) {
+					await fs.unlink(lockFile);
+				}
+			}
+			catch (e) {
+				// lock is already gone
+			}
+		};
 	}
 }
 
+/**
+ * @typedef {object} FileCacheOptions
+ * @property {string} [dir]
+ *  root directory of this cache (default: the directory set with FileCache.setCacheDir)
+ * @property {Array<number>} [shard]
+ *  split the files of a prefix in sub directories derived from the hashed key
+ *  eg. [2, 2] stores files as ab/cd/abcd...fc (default: no sub directories)
+ *  NOTE: all the instances using a prefix should use the same setting, use reshard to change it
+ * @property {number} [maxSize] max size of the cache prefix in bytes (default: no limit)
+ * @property {number} [maxEntries] max number of entries in the cache prefix (default: no limit)
+ * @property {string} [eviction='lru']
+ *  entries to evict when a limit is exceeded
+ *  lru: least recently used, lfu: least frequently used
+ * @property {string|Serializer} [serializer='json']
+ *  how to serialize values: json, v8 (keeps Dates, Maps, Sets, BigInts etc. intact)
+ *  or custom {name, serialize, deserialize}
+ *  the serializer name is stored in the file, so values are read back with the right serializer
+ * @property {Object<string, Serializer>} [serializers]
+ *  custom serializers (by name) that might be needed to read values written with them
+ * @property {boolean|string|CompressionOptions} [compression]
+ *  compression options: {codec: 'zstd'|'brotli'|'gzip'|'none', level, threshold: 256, dictionary}
+ *  a string is treated as the codec, false disables compression
+ *  dictionary is only supported with the zstd codec
+ *  with dictionary: true, values are compressed using the dictionary trained with trainDictionary
+ * @property {string} [onCorrupt='delete']
+ *  what to do with corrupted (eg. truncated) cache files: delete or quarantine
+ *  quarantined files are moved to the _corrupt directory in the cache dir
+ * @property {number} [lockTimeout=300000]
+ *  time in ms after which a lock is considered abandoned if its holder stops refreshing it
+ *  (locks are used to generate a value in only one process at a time)
+ * @property {string|Buffer} [encryptionKey]
+ *  encrypt the values (and their keys & tags) with AES-256-GCM using this 32 byte key
+ *  (a Buffer, or hex / base64 encoded string), values are encrypted after compression
+ * @property {Array<string|Buffer>} [decryptionKeys]
+ *  old encryption keys, only used to read the values written with them (see reencrypt)
+ * @property {string|Buffer} [hashKey]
+ *  secret to hash the keys to file names with (HMAC), so that file names don't reveal the keys
+ *  (default: derived from encryptionKey, so set it explicitly to keep the file names when rotating keys)
+ */
+
 class FileCache extends BaseCache {
 	static CACHE_ID = 'FC';
 	static Backend = FileCacheBackend;
+	static maxSize = 0;
+	static maxEntries = 0;
+	static eviction = 'lru';
+	static lockTimeout = 5 * 60 * 1000;
+	static serializer = 'json';
+	static serializers = {};
+	static onCorrupt = 'delete';
+	static compression = null;
+	static shard = null;
+	static encryptionKey = null;
+	static decryptionKeys = [];
+	static hashKey = null;
+
+	/**
+	 * set the root directory of all the caches not having their own dir option
+	 * @param {string} cacheDir
+	 */
 	static setCacheDir(cacheDir) {
 		this.Backend.CACHE_DIR = path.resolve(cacheDir);
 	}
+
+	/**
+	 * number of corrupted entries found (and deleted / quarantined) by this instance
+	 * @type {number}
+	 */
+	get corruptEntries() {
+		return this.backend.corruptEntries;
+	}
+
+	/**
+	 * train a compression dictionary from the existing entries of this prefix
+	 * it is used for the values set after this, if compression.dictionary is true (with the zstd codec)
+	 * useful when there are lots of small similar values (like api responses)
+	 * @param {object} [options]
+	 * @param {number} [options.samples=1000] max number of entries to sample
+	 * @param {number} [options.size=112640] max size of the dictionary (in bytes)
+	 * @returns {Promise<{id: string, size: number, samples: number}|null>} null if there are no entries
+	 */
+	async trainDictionary(options = {}) {
+		return this.backend.trainDictionary(this.keyPath, options);
+	}
+
+	/**
+	 * move the entries of this prefix to the sub directories of a different shard setting
+	 * after this, use the new shard setting in all the instances using this prefix
+	 * @example
+	 * // move from no sub directories to ab/cd/abcd...fc
+	 * await new FileCache('api').reshard([2, 2]);
+	 * @param {Array<number>} shard new shard setting
+	 * @param {object} [options]
+	 * @param {Array<number>} [options.from] current shard setting (default: shard option of this instance)
+	 * @returns {Promise<{moved: number, skipped: number}>}
+	 */
+	async reshard(shard, options = {}) {
+		return this.backend.reshard(this.keyPath, shard, options);
+	}
+
+	/**
+	 * rewrite the entries written by older versions in the current file format
+	 * NOTE: entries in older formats are read transparently, this is not required
+	 * @returns {Promise<{entries: number}>} number of entries migrated
+	 */
+	async migrate() {
+		return this.backend.migrate(this.keyPath);
+	}
+
+	/**
+	 * check the integrity of all the entries (checksum and decoding of the values)
+	 * @param {object} [options]
+	 * @param {boolean} [options.fix=false] delete / quarantine (see onCorrupt) the corrupt entries
+	 * @returns {Promise<{entries: number, errors: Array<{file: string, error: string, corrupt: boolean}>}>}
+	 */
+	async verify(options = {}) {
+		return this.backend.verify(this.keyPath, options);
+	}
+
+	/**
+	 * write the live (unexpired) entries to a stream as a single archive, to be imported with FileCache.import
+	 * (eg. to warm the cache of a new machine)
+	 * entries are encrypted in the archive if this cache is encrypted
+	 * @example
+	 * await cache.export(fs.createWriteStream('cache.fca'), {prefixes: ['api', 'users']});
+	 * @param {import('stream').Writable} stream
+	 * @param {object} [options]
+	 * @param {Array<string>} [options.prefixes] prefixes to export (default: prefix of this cache)
+	 * @param {boolean} [options.end=true] end the stream after writing the archive
+	 * @param {function({entries: number, skipped: number, bytes: number}):void} [options.onProgress]
+	 *  called after each entry
+	 * @returns {Promise<{entries: number, skipped: number, bytes: number}>}
+	 *  number of entries exported & skipped (expired or unreadable) and bytes written
+	 */
+	async export(stream, {prefixes = [this.prefix], end = true, onProgress} = {}) {
+		const cls = this.constructor;
+		const result = {entries: 0, skipped: 0, bytes: 0};
+		const backend = this.backend;
+		const keySep = this.KEY_SEPARATOR;
+		async function* archive() {
+			const header = archiveHeader();
+			result.bytes += header.length;
+			yield header;
+			for (const prefix of prefixes) {
+				const keyPath = [cls.CACHE_ID, cls.GLOBAL_PREFIX, prefix].join(keySep);
+				for await (const data of backend.exportEntries(keyPath)) {
+					if (data) {
+						const record = archiveRecord(data);
+						result.bytes += record.length;
+						yield record;
+						result.entries++;
+					}
+					else {
+						result.skipped++;
+					}
+					if (onProgress) onProgress({...result});
+				}
+			}
+		}
+
+		// errors of the stream (eg. it can't be opened) reject the promise
+		await pipeline(Readable.from(archive(), {objectMode: false}), stream, {end});
+		return result;
+	}
+
+	/**
+	 * import the entries of an archive written by export
+	 * @example
+	 * await FileCache.import(fs.createReadStream('cache.fca'));
+	 * @param {AsyncIterable<Buffer>} stream readable stream of the archive
+	 * @param {FileCacheOptions & {overwrite: boolean, onProgress: function}} [options]
+	 *  options of the caches to import the entries in, and
+	 *  overwrite: overwrite the existing (unexpired) entries (default: false)
+	 *  onProgress: called after each entry with {entries, skipped}
+	 * @returns {Promise<{entries: number, skipped: number}>}
+	 *  number of entries imported & skipped (expired, existing or unreadable)
+	 */
+	static async import(stream, {overwrite = false, onProgress, ...options} = {}) {
+		const result = {entries: 0, skipped: 0};
+		const caches = new Map();
+		const getCache = (prefix) => {
+			if (!caches.has(prefix)) caches.set(prefix, new this(prefix, options));
+			return caches.get(prefix);
+		};
+		const decodeOptions = {
+			serializers: {...this.serializers, ...options.serializers},
+			encryption: resolveEncryption(
+				options.encryptionKey ?? this.encryptionKey,
+				options.decryptionKeys ?? this.decryptionKeys,
+			),
+		};
+
+		for await (const record of readArchive(stream)) {
+			let val;
+			try {
+				val = await decode(record, decodeOptions);
+			}
+			catch (e) {
+				(options.logger ?? this.logger).error(e);
+			}
+			if (val && (await this._importEntry(val, getCache, overwrite))) {
+				result.entries++;
+			}
+			else {
+				result.skipped++;
+			}
+			if (onProgress) onProgress({...result});
+		}
+		return result;
+	}
+
+	static async _importEntry({v, k, t, c, g, e, l, o, m, s}, getCache, overwrite) {
+		const keyPrefix = [this.CACHE_ID, this.GLOBAL_PREFIX, ''].join(this.KEY_SEPARATOR);
+		if (typeof k !== 'string' || !k.startsWith(keyPrefix)) return false;
+		if (t && c + t < Date.now()) return false;
+
+		const rest = k.substring(keyPrefix.length);
+		const sepIndex = rest.indexOf(this.KEY_SEPARATOR);
+		if (sepIndex <= 0) return false;
+		const cache = getCache(rest.substring(0, sepIndex));
+		if (!overwrite) {
+			const existing = await cache.backend.head(k).catch(() => undefined);
+			if (existing && !(existing.t && existing.c + existing.t < Date.now())) return false;
+		}
+		await cache.backend.set(k, v, {t, c, g, e, l, o, m, serializer: s});
+		if (cache.localCache) cache.localCache.delete(rest.substring(sepIndex + this.KEY_SEPARATOR.length));
+		return true;
+	}
+
+	/**
+	 * rewrite all the entries with the current encryption key
+	 * use after rotating the key (keep the old key in decryptionKeys until this is done)
+	 * or after enabling / disabling encryption on an existing cache
+	 * @returns {Promise<{entries: number, skipped: number}>}
+	 */
+	async reencrypt() {
+		const result = await this.backend.reencrypt(this.keyPath);
+		if (this.localCache) this.localCache.clear();
+		return result;
+	}
+
+	/**
+	 * fetches a url (with the global fetch) and caches the response according to its Cache-Control
+	 * max-age (or Expires) is how long the response is fresh (like staleTTL),
+	 * stale-while-revalidate is how long it is served stale while it is refetched in the background
+	 * (the response expires after max-age + stale-while-revalidate, like ttl),
+	 * stale-if-error is how long it is served stale if refetching fails, no-store responses are not cached
+	 * stale responses with an ETag / Last-Modified are kept for revalidateTTL and revalidated with
+	 * If-None-Match / If-Modified-Since, on 304 only the times of the cached response are refreshed
+	 * only GET & HEAD requests are cached, responses are cached by method & url
+	 * a cached response is used only if the request headers named by its Vary match, otherwise it is refetched
+	 * responses with Vary: * or Cache-Control: private, and responses to requests with an Authorization header
+	 * are not cached, unless an explicit key is given
+	 * NOTE: the whole body is kept in memory (and stored as base64)
+	 * @example
+	 * const res = await cache.fetch('https://example.com/data.json', {headers: {accept: 'application/json'}});
+	 * const data = await res.json();
+	 * res.headers.get('x-cache'); // HIT, STALE, MISS or REVALIDATED
+	 * @param {string|URL|Request} url
+	 * @param {RequestInit} [init={}] passed to fetch
+	 * @param {import('./fetch').FetchOptions} [options={}]
+	 *  key to cache the response with, defaults for responses without the directives
+	 *  (maxAge: 0, staleWhileRevalidate: 0, staleIfError: 0) and
+	 *  revalidateTTL: how long to keep stale responses which can be revalidated (default: '1d')
+	 * @returns {Promise<Response>}
+	 */
+	async fetch(url, init = {}, options = {}) {
+		return cachedFetch(this, url, init, options);
+	}
+
+	/**
+	 * connect style middleware (req, res, next) that caches the responses (status, headers & body)
+	 * of the next handlers, for node http & express
+	 * responses are keyed by method + url + vary headers, only successful responses
+	 * without Set-Cookie / Cache-Control: private, no-store are cached
+	 * cached responses get an ETag (of the body) and are validated with If-None-Match
+	 * @example
+	 * app.get('/products', cache.middleware({ttl: '5m', staleTTL: '1m', vary: ['accept-language']}), listProducts);
+	 * @param {import('./middleware').MiddlewareOptions} [options]
+	 * @returns {function(import('http').IncomingMessage, import('http').ServerResponse, function(any=):void):Promise<void>}
+	 */
+	middleware(options = {}) {
+		return httpMiddleware(this, options);
+	}
+
+	/**
+	 * koa middleware that caches the responses, same as middleware
+	 * @example
+	 * router.get('/products', cache.koaMiddleware({ttl: '5m'}), listProducts);
+	 * @param {import('./middleware').MiddlewareOptions} [options]
+	 * @returns {function(object, function():Promise<void>):Promise<void>}
+	 */
+	koaMiddleware(options = {}) {
+		return koaMiddleware(this, options);
+	}
 }
 
 module.exports = {
-	FileCache
+	FileCache,
+	CorruptEntryError,
 };
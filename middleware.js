@@ -0,0 +1,544 @@
+// response caching middleware for node http, express (connect style) and koa
+// responses are generated & cached with cache.getOrSet, so they are not generated twice at the same time
+
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+
+// response methods replaced while capturing a response
+const CAPTURED_METHODS = [
+	'setHeader', 'appendHeader', 'getHeader', 'getHeaders', 'getHeaderNames', 'hasHeader', 'removeHeader',
+	'writeHead', 'flushHeaders', 'write', 'end', 'headersSent',
+];
+// request headers to validate a cached response, the handlers must not see them
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since'];
+// headers that are not stored with a cached response
+const UNCACHED_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'etag', 'x-cache'];
+// property of the requests made to regenerate a response in the background, see refreshResponse
+const REFRESH = Symbol('refresh');
+
+/**
+ * @typedef {object} MiddlewareOptions
+ * @property {number|string|function(object):(number|string|null)} [ttl='1m']
+ *  ttl of the responses, or a function of the request (req for http / express, ctx for koa)
+ *  for per route ttls, which can return null to not cache the response
+ * @property {Array<string>} [vary=[]] request headers that responses vary by (part of the key)
+ * @property {Array<string>} [methods=['GET', 'HEAD']] request methods whose responses are cached
+ *  HEAD requests are served from the cached GET response (if any), their own responses are not cached
+ * @property {string|null} [bypassHeader=null] requests with this header regenerate
+ *  (and cache) the response (forceUpdate), eg. 'x-cache-bypass'
+ *  NOTE: any client can send it, so only enable it if the clients are trusted
+ * @property {function(object):string} [key] key of a request (default: method + url + vary headers)
+ * other options (staleTTL, staleIfError, tags, timeout etc.) are passed to getOrSet
+ */
+
+function resolveOptions(options) {
+	const {
+		ttl = '1m',
+		vary = [],
+		methods = ['GET', 'HEAD'],
+		bypassHeader = null,
+		key,
+		...setOptions
+	} = options;
+	return {
+		ttl,
+		vary: vary.map(name => name.toLowerCase()),
+		methods: methods.map(method => method.toUpperCase()),
+		bypassHeader: bypassHeader && bypassHeader.toLowerCase(),
+		key,
+		setOptions,
+	};
+}
+
+/**
+ * getOrSet options of a request, null if its response must not be cached
+ * @param {object} opts resolved options
+ * @param {object} reqOrCtx
+ * @param {import('http').IncomingMessage} req
+ * @returns {object|null}
+ */
+function requestOptions(opts, reqOrCtx, req) {
+	if (!opts.methods.includes(req.method)) return null;
+	const ttl = (typeof opts.ttl === 'function') ? opts.ttl(reqOrCtx) : opts.ttl;
+	if (ttl === null || ttl === undefined || ttl === false) return null;
+	const forceUpdate = Boolean(opts.bypassHeader && req.headers[opts.bypassHeader]);
+	return {...opts.setOptions, ttl, forceUpdate};
+}
+
+function requestKey(opts, reqOrCtx, req, url) {
+	if (opts.key) return opts.key(reqOrCtx);
+	const varyHeaders = opts.vary.map(name => `${name}:${req.headers[name] || ''}`);
+	// HEAD requests are served from the GET response
+	const method = (req.method === 'HEAD') ? 'GET' : req.method;
+	return [method, url, ...varyHeaders].join('\n');
+}
+
+/**
+ * cached GET response to serve a HEAD request with
+ * handlers write no body for HEAD requests, so their responses are not cached
+ * @param {import('./BaseCache').BaseCache} cache
+ * @param {string} key
+ * @param {object} setOptions
+ * @returns {Promise<object|undefined>}
+ */
+async function headValue(cache, key, setOptions) {
+	if (setOptions.forceUpdate) return undefined;
+	return cache.get(key);
+}
+
+/**
+ * whether a response can be cached, only successful, public responses without cookies are cached
+ * @param {number} status
+ * @param {object} headers lowercased headers
+ * @returns {boolean}
+ */
+function isCacheable(status, headers) {
+	if (status < 200 || status >= 400) return false;
+	if (headers['set-cookie']) return false;
+	return !/\b(no-store|private)\b/i.test(String(headers['cache-control'] || ''));
+}
+
+/**
+ * value of a response to cache
+ * @param {number} status
+ * @param {object} headers
+ * @param {Buffer} body
+ * @returns {{status: number, headers: object, body: string, etag: string}}
+ */
+function toValue(status, headers, body) {
+	const stored = {};
+	Object.keys(headers).forEach((name) => {
+		if (!UNCACHED_HEADERS.includes(name)) stored[name] = headers[name];
+	});
+	return {
+		status,
+		headers: stored,
+		body: body.toString('base64'),
+		etag: `"${crypto.createHash('sha256').update(body).digest('base64url').substring(0, 27)}"`,
+	};
+}
+
+/**
+ * whether the client already has the cached response (If-None-Match matches its ETag)
+ * @param {import('http').IncomingMessage} req
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function isFresh(req, etag) {
+	const ifNoneMatch = req.headers['if-none-match'];
+	if (!ifNoneMatch || /\bno-cache\b/.test(req.headers['cache-control'] || '')) return false;
+	if (ifNoneMatch.trim() === '*') return true;
+	return ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * remove the conditional headers of a request while the handlers generate the full response
+ * (the cached response is validated by the middleware)
+ * @param {import('http').IncomingMessage} req
+ * @returns {function():void} restores the headers
+ */
+function hideConditionalHeaders(req) {
+	const values = CONDITIONAL_HEADERS.map(name => req.headers[name]);
+	CONDITIONAL_HEADERS.forEach((name) => {
+		delete req.headers[name];
+	});
+	return () => {
+		CONDITIONAL_HEADERS.forEach((name, i) => {
+			if (values[i] !== undefined) req.headers[name] = values[i];
+		});
+	};
+}
+
+/**
+ * headers & status to send a cached response with
+ * @param {import('http').IncomingMessage} req
+ * @param {object} value cached response
+ * @param {string} cacheStatus HIT, STALE or MISS
+ * @returns {{status: number, headers: object, body: Buffer|null}}
+ */
+function toResponse(req, value, cacheStatus) {
+	const headers = {...value.headers, etag: value.etag, 'x-cache': cacheStatus};
+	if (isFresh(req, value.etag) && value.status < 300) {
+		return {status: 304, headers, body: null};
+	}
+	const body = Buffer.from(value.body, 'base64');
+	// HEAD requests get the length of the GET response, node & koa don't send their body
+	headers['content-length'] = body.length;
+	return {status: value.status, headers, body};
+}
+
+/**
+ * capture the response written by the next handlers instead of sending it
+ * (the response may already be sent, when it is regenerated in the background)
+ * @param {import('http').ServerResponse} res
+ * @returns {{done: Promise<{status: number, headers: object, body: Buffer}>, restore: function():void}}
+ */
+function captureResponse(res) {
+	const saved = CAPTURED_METHODS.map(name => [name, Object.getOwnPropertyDescriptor(res, name)]);
+	let headers = {};
+	const chunks = [];
+	let ended = false;
+	let resolveDone;
+	const done = new Promise((resolve) => {
+		resolveDone = resolve;
+	});
+
+	const write = (chunk, encoding) => {
+		if (chunk === undefined || chunk === null || typeof chunk === 'function') return;
+		chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, (typeof encoding === 'string') ? encoding : 'utf8'));
+	};
+	const setHeaders = (values) => {
+		if (Array.isArray(values)) {
+			// [name, value, name, value ...] or [[name, value] ...]
+			const pairs = Array.isArray(values[0]) ? values : values.reduce((result, item, i) => {
+				if (i % 2 === 0) result.push([item, values[i + 1]]);
+				return result;
+			}, []);
+			pairs.forEach(([name, value]) => {
+				res.appendHeader(name, value);
+			});
+		}
+		else if (values) {
+			Object.keys(values).forEach((name) => {
+				res.setHeader(name, values[name]);
+			});
+		}
+	};
+
+	Object.assign(res, {
+		setHeader(name, value) {
+			headers[name.toLowerCase()] = value;
+			return res;
+		},
+		appendHeader(name, value) {
+			const lower = name.toLowerCase();
+			const current = headers[lower];
+			if (current === undefined) headers[lower] = value;
+			else headers[lower] = [].concat(current, value);
+			return res;
+		},
+		getHeader: name => headers[name.toLowerCase()],
+		getHeaders: () => ({...headers}),
+		getHeaderNames: () => Object.keys(headers),
+		hasHeader: name => headers[name.toLowerCase()] !== undefined,
+		removeHeader(name) {
+			delete headers[name.toLowerCase()];
+		},
+		writeHead(status, statusMessage, values) {
+			res.statusCode = status;
+			setHeaders((typeof statusMessage === 'string') ? values : statusMessage);
+			return res;
+		},
+		flushHeaders() {},
+		write(chunk, encoding, callback) {
+			write(chunk, encoding);
+			const cb = (typeof encoding === 'function') ? encoding : callback;
+			if (cb) process.nextTick(cb);
+			return true;
+		},
+		end(chunk, encoding, callback) {
+			if (ended) return res;
+			ended = true;
+			write(chunk, encoding);
+			resolveDone({status: res.statusCode, headers, body: Buffer.concat(chunks)});
+			const cb = [chunk, encoding, callback].find(arg => typeof arg === 'function');
+			if (cb) process.nextTick(cb);
+			return res;
+		},
+	});
+	Object.defineProperty(res, 'headersSent', {get: () => false, configurable: true});
+
+	const restore = () => {
+		saved.forEach(([name, descriptor]) => {
+			if (descriptor) Object.defineProperty(res, name, descriptor);
+			else delete res[name];
+		});
+		headers = {};
+	};
+	return {done, restore};
+}
+
+/**
+ * capture the response generated by the next handlers
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {function():void} next
+ * @returns {Promise<{status: number, headers: object, body: Buffer}>}
+ */
+async function captureNext(req, res, next) {
+	const capture = captureResponse(res);
+	const restoreHeaders = hideConditionalHeaders(req);
+	try {
+		next();
+		return await capture.done;
+	}
+	finally {
+		capture.restore();
+		restoreHeaders();
+	}
+}
+
+/**
+ * copy of a request (without a body) to run an app with again
+ * @param {import('http').IncomingMessage} req
+ * @param {string} url
+ * @returns {{req: import('http').IncomingMessage, res: import('http').ServerResponse}}
+ */
+function copyRequest(req, url) {
+	const copy = new http.IncomingMessage(new net.Socket());
+	copy.method = req.method;
+	copy.url = url;
+	copy.httpVersion = req.httpVersion;
+	copy.headers = {...req.headers};
+	CONDITIONAL_HEADERS.forEach((name) => {
+		delete copy.headers[name];
+	});
+	copy.push(null);
+	return {req: copy, res: new http.ServerResponse(copy)};
+}
+
+/**
+ * regenerate a response in the background, after the response to the request was sent
+ * express & koa don't allow running the next handlers of a request again (after the middleware returned),
+ * so the app is run with a copy of the request, which the middleware passes to the next handlers
+ * @param {import('http').IncomingMessage} req
+ * @param {string} url
+ * @param {function} middleware the middleware that should generate the response
+ * @param {function(object, object, function(any=):void):any} dispatch runs the app with a request & response
+ * @returns {Promise<any>} whatever the middleware resolves the refresh with
+ */
+function refreshResponse(req, url, middleware, dispatch) {
+	return new Promise((resolve, reject) => {
+		const copy = copyRequest(req, url);
+		copy.req[REFRESH] = {middleware, resolve};
+		const notHandled = error => reject(error || new Error(`refresh of ${url} was not handled by the cache middleware`));
+		// the response of the app is discarded
+		captureResponse(copy.res).done.then(() => notHandled());
+		Promise.resolve(dispatch(copy.req, copy.res, notHandled)).catch(notHandled);
+	});
+}
+
+/**
+ * connect style middleware (req, res, next) caching the responses, for node http & express
+ * with staleTTL, responses are regenerated in the background by running the express app
+ * with a copy of the request, or with node http by calling next again (with the response captured)
+ * @example
+ * app.get('/products', cache.middleware({ttl: '5m', staleTTL: '1m'}), listProducts);
+ * // node http
+ * const middleware = cache.middleware({ttl: '1m'});
+ * http.createServer((req, res) => middleware(req, res, () => handler(req, res)));
+ * @param {import('./BaseCache').BaseCache} cache
+ * @param {MiddlewareOptions} [options]
+ * @returns {function(import('http').IncomingMessage, import('http').ServerResponse, function(any=):void):Promise<void>}
+ */
+function httpMiddleware(cache, options = {}) {
+	const opts = resolveOptions(options);
+	const middleware = async (req, res, next) => {
+		const refresh = req[REFRESH];
+		if (refresh) {
+			// regenerating a response in the background (see refreshResponse)
+			if (refresh.middleware === middleware) refresh.resolve(captureNext(req, res, next));
+			else next();
+			return;
+		}
+
+		const setOptions = requestOptions(opts, req, req);
+		if (!setOptions) {
+			next();
+			return;
+		}
+		const url = req.originalUrl || req.url;
+		const key = requestKey(opts, req, req, url);
+		// the response is sent after it is cached, so that ETag & Content-Length can be set
+		const {writeHead, end} = res;
+		const sendResponse = ({status, headers, body}) => {
+			writeHead.call(res, status, headers);
+			end.call(res, body);
+		};
+
+		if (req.method === 'HEAD') {
+			const value = await headValue(cache, key, setOptions);
+			if (value === undefined) next();
+			else sendResponse(toResponse(req, value, 'HIT'));
+			return;
+		}
+
+		let responded = false;
+		let uncached;
+		const generate = async () => {
+			let response;
+			if (!responded) {
+				response = await captureNext(req, res, next);
+			}
+			else if (req.app && typeof req.app.handle === 'function') {
+				// express, run the top level app (sub apps get the url without their mount path)
+				let {app} = req;
+				while (app.parent) app = app.parent;
+				response = await refreshResponse(req, req.originalUrl, middleware, (refreshReq, refreshRes, done) => {
+					app.handle(refreshReq, refreshRes, done);
+				});
+			}
+			else {
+				// node http, next just calls the handler
+				response = await captureNext(req, res, next);
+			}
+			const {status, headers, body} = response;
+			if (isCacheable(status, headers)) return toValue(status, headers, body);
+			if (!responded) uncached = response;
+			return undefined;
+		};
+
+		let generated = false;
+		let value;
+		try {
+			value = await cache.getOrSet(key, () => {
+				generated = true;
+				return generate();
+			}, setOptions);
+		}
+		catch (error) {
+			if (res.headersSent) return;
+			next(error);
+			return;
+		}
+		finally {
+			// the value is generated in the background from now on
+			responded = true;
+		}
+
+		if (value === undefined) {
+			if (uncached) {
+				sendResponse(uncached);
+			}
+			else if (!generated) {
+				// the response (generated by some other request) is not cacheable
+				next();
+			}
+			return;
+		}
+		if (!res.headersSent) {
+			sendResponse(toResponse(req, value, generated ? 'MISS' : 'HIT'));
+		}
+	};
+	return middleware;
+}
+
+async function bodyToBuffer(body) {
+	if (body === undefined || body === null) return Buffer.alloc(0);
+	if (Buffer.isBuffer(body)) return body;
+	if (typeof body === 'string') return Buffer.from(body);
+	if (typeof body.pipe === 'function') {
+		const chunks = [];
+		for await (const chunk of body) {
+			chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+		}
+		return Buffer.concat(chunks);
+	}
+	return Buffer.from(JSON.stringify(body));
+}
+
+/**
+ * run the next koa middleware and get the response they generate
+ * @param {object} ctx
+ * @param {function():Promise<void>} next
+ * @returns {Promise<object|undefined>} value to cache, undefined if the response is not cacheable
+ */
+async function koaGenerate(ctx, next) {
+	const restoreHeaders = hideConditionalHeaders(ctx.req);
+	try {
+		await next();
+		const status = ctx.status;
+		const headers = {...ctx.response.headers};
+		if (!isCacheable(status, headers)) return undefined;
+		const body = await bodyToBuffer(ctx.body);
+		// stream bodies are consumed
+		ctx.body = body;
+		return toValue(status, headers, body);
+	}
+	finally {
+		restoreHeaders();
+	}
+}
+
+/**
+ * koa middleware caching the responses
+ * with staleTTL, responses are regenerated in the background by running the app with a copy of the request
+ * @example
+ * router.get('/products', cache.koaMiddleware({ttl: '5m', staleTTL: '1m'}), listProducts);
+ * @param {import('./BaseCache').BaseCache} cache
+ * @param {MiddlewareOptions} [options]
+ * @returns {function(object, function():Promise<void>):Promise<void>}
+ */
+function koaMiddleware(cache, options = {}) {
+	const opts = resolveOptions(options);
+	const middleware = async (ctx, next) => {
+		const {req} = ctx;
+		const refresh = req[REFRESH];
+		if (refresh) {
+			// regenerating a response in the background (see refreshResponse)
+			if (refresh.middleware !== middleware) {
+				await next();
+				return;
+			}
+			const generating = koaGenerate(ctx, next);
+			refresh.resolve(generating);
+			// the error is passed to the refresh
+			await generating.catch(() => {});
+			return;
+		}
+
+		const setOptions = requestOptions(opts, ctx, req);
+		if (!setOptions) {
+			await next();
+			return;
+		}
+		const key = requestKey(opts, ctx, req, ctx.originalUrl);
+
+		let value;
+		let generated = false;
+		let responded = false;
+		const generate = async () => {
+			if (!responded) return koaGenerate(ctx, next);
+			return refreshResponse(req, ctx.originalUrl, middleware, ctx.app.callback());
+		};
+
+		if (req.method === 'HEAD') {
+			value = await headValue(cache, key, setOptions);
+			if (value === undefined) {
+				await next();
+				return;
+			}
+		}
+		else {
+			try {
+				value = await cache.getOrSet(key, () => {
+					generated = true;
+					return generate();
+				}, setOptions);
+			}
+			finally {
+				// the value is generated in the background from now on
+				responded = true;
+			}
+
+			if (value === undefined) {
+				// the response (generated by some other request) is not cacheable
+				if (!generated) await next();
+				return;
+			}
+		}
+		const {status, headers, body} = toResponse(req, value, generated ? 'MISS' : 'HIT');
+		ctx.status = status;
+		Object.keys(headers).forEach((name) => {
+			ctx.set(name, (typeof headers[name] === 'number') ? String(headers[name]) : headers[name]);
+		});
+		ctx.body = body;
+	};
+	return middleware;
+}
+
+module.exports = {
+	httpMiddleware,
+	koaMiddleware,
+};
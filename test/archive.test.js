@@ -0,0 +1,40 @@
+const {test, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {FileCache} = require('..');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+const logger = {error() {}};
+
+after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+test('exported entries are imported with their times and tags', async () => {
+	const source = new FileCache('archive', {dir: path.join(dir, 'source'), logger});
+	await source.set('a', {value: 1}, {ttl: '1h', tags: ['t']});
+	await source.set('b', Buffer.from('buffer value'));
+	const file = path.join(dir, 'cache.fca');
+	const exported = await source.export(fs.createWriteStream(file));
+	assert.equal(exported.entries, 2);
+
+	const target = {dir: path.join(dir, 'target'), logger};
+	const imported = await FileCache.import(fs.createReadStream(file), target);
+	assert.deepEqual(imported, {entries: 2, skipped: 0});
+	const cache = new FileCache('archive', target);
+	assert.deepEqual(await cache.get('a'), {value: 1});
+	assert.ok((await cache.get('b')).equals(Buffer.from('buffer value')));
+	const ttl = await cache.ttlOf('a');
+	assert.ok(ttl > 3500 * 1000 && ttl <= 3600 * 1000);
+
+	// existing entries are skipped unless overwrite is given
+	assert.deepEqual(await FileCache.import(fs.createReadStream(file), target), {entries: 0, skipped: 2});
+	await cache.invalidateTags(['t']);
+	assert.equal(await cache.get('a'), undefined);
+});
+
+test('export rejects when the output stream fails', async () => {
+	const cache = new FileCache('archive-error', {dir, logger});
+	await cache.set('a', 'value');
+	await assert.rejects(cache.export(fs.createWriteStream(path.join(dir, 'missing', 'cache.fca'))), {code: 'ENOENT'});
+});
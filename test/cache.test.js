@@ -0,0 +1,204 @@
+const {test, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {FileCache} = require('..');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+const logger = {error() {}};
+
+after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(fn, timeout = 2000) {
+	const start = Date.now();
+	while (!(await fn())) {
+		if (Date.now() - start > timeout) throw new Error('timed out waiting for the condition');
+		await sleep(10);
+	}
+}
+
+test('getOrSet generates a value once and caches it', async () => {
+	const cache = new FileCache('basic', {dir, logger});
+	let calls = 0;
+	const fn = async () => ++calls;
+	assert.equal(await cache.getOrSet('a', fn, '1h'), 1);
+	assert.equal(await cache.getOrSet('a', fn, '1h'), 1);
+	assert.equal(calls, 1);
+	assert.equal(await cache.get('a'), 1);
+});
+
+test('values expire after their ttl', async () => {
+	const cache = new FileCache('expiry', {dir, logger});
+	await cache.set('a', 'value', 50);
+	assert.equal(await cache.get('a'), 'value');
+	await sleep(80);
+	assert.equal(await cache.get('a'), undefined);
+	assert.equal(await cache.ttlOf('a'), undefined);
+});
+
+test('concurrent callers of a cold key with staleTTL share one generation without polling the lock', async () => {
+	const cache = new FileCache('cold', {dir, logger});
+	let calls = 0;
+	const fn = async () => {
+		calls++;
+		await sleep(50);
+		return 'value';
+	};
+	const start = Date.now();
+	const values = await Promise.all(Array.from({length: 20}, () => (
+		cache.getOrSet('a', fn, {ttl: '1h', staleTTL: '10m'})
+	)));
+	assert.deepEqual(values, Array(20).fill('value'));
+	assert.equal(calls, 1);
+	// waiting callers used to take turns on the lock file (50ms each)
+	assert.ok(Date.now() - start < 500, `took ${Date.now() - start}ms`);
+});
+
+test('memoize gives different functions with the same source and no name separate namespaces', async () => {
+	const errors = [];
+	const cache = new FileCache('memoize', {dir, logger: {error: message => errors.push(message)}});
+	const makeLoader = table => cache.memoize(async id => `${table}:${id}`);
+	const users = makeLoader('users');
+	const tags = makeLoader('tags');
+	assert.equal(errors.length, 1);
+	assert.match(errors[0], /pass a unique name option/);
+	assert.equal(await users(1), 'users:1');
+	assert.equal(await tags(1), 'tags:1');
+
+	const posts = cache.memoize(async id => `posts:${id}`, {name: 'posts'});
+	const comments = cache.memoize(async id => `comments:${id}`, {name: 'comments'});
+	assert.equal(await posts(1), 'posts:1');
+	assert.equal(await comments(1), 'comments:1');
+});
+
+test('touching a value marked stale keeps its ttl and its staleness', async () => {
+	const cache = new FileCache('stale-touch', {dir, logger});
+	await cache.set('a', 1, '1h');
+	await cache.markStale('a');
+	assert.ok(await cache.touch('a'));
+	const ttl = await cache.ttlOf('a');
+	assert.ok(ttl > 3590 * 1000 && ttl <= 3600 * 1000, `ttl is ${ttl}`);
+
+	let calls = 0;
+	const value = await cache.getOrSet('a', async () => ++calls, {ttl: '1h', staleTTL: '10m', freshResult: true});
+	assert.equal(value, 1);
+	assert.equal(calls, 1);
+});
+
+test('sliding values still become stale after staleTTL', async () => {
+	const cache = new FileCache('sliding', {dir, logger});
+	const options = {ttl: 1000, staleTTL: 100, sliding: true};
+	let calls = 0;
+	const fn = async () => ++calls;
+	assert.equal(await cache.getOrSet('a', fn, options), 1);
+	for (let i = 0; i < 5; i++) {
+		await sleep(30);
+		await cache.getOrSet('a', fn, options);
+	}
+	// regenerated in the background
+	await waitFor(() => calls >= 2);
+	const ttl = await cache.ttlOf('a');
+	assert.ok(ttl > 500 && ttl <= 1000, `ttl is ${ttl}`);
+});
+
+test('failed background refreshes keep the stale value and log the error', async () => {
+	const errors = [];
+	const cache = new FileCache('refresh-error', {dir, logger: {error: (...args) => errors.push(args)}});
+	const options = {ttl: '1h', staleTTL: 20, staleIfError: '1h'};
+	assert.equal(await cache.getOrSet('a', async () => 1, options), 1);
+	await sleep(40);
+	const error = new Error('upstream is down');
+	assert.equal(await cache.getOrSet('a', async () => { throw error; }, options), 1);
+	await waitFor(() => errors.some(([message]) => /background refresh of key .* failed/.test(message)));
+	const [, logged] = errors.find(([message]) => /background refresh/.test(message));
+	assert.equal(logged, error);
+	assert.equal(await cache.getStale('a'), 1);
+});
+
+test('sliding values are extended when read', async () => {
+	const cache = new FileCache('sliding-read', {dir, logger});
+	await cache.set('a', 1, {ttl: 300, sliding: true});
+	for (let i = 0; i < 4; i++) {
+		await sleep(100);
+		assert.equal(await cache.get('a'), 1);
+	}
+	await waitFor(async () => (await cache.ttlOf('a')) > 200);
+});
+
+test('expire sets a new ttl without making a stale value fresh', async () => {
+	const cache = new FileCache('expire', {dir, logger});
+	let calls = 0;
+	const fn = async () => ++calls;
+	await cache.getOrSet('a', fn, {ttl: '1h', staleTTL: 20});
+	await sleep(40);
+	assert.ok(await cache.expire('a', '2h'));
+	const ttl = await cache.ttlOf('a');
+	assert.ok(ttl > 7190 * 1000 && ttl <= 7200 * 1000, `ttl is ${ttl}`);
+	assert.equal(await cache.getOrSet('a', fn, {ttl: '1h', staleTTL: 20, freshResult: true}), 2);
+});
+
+test('evicted values are not served from the local cache', async () => {
+	const cache = new FileCache('evict', {dir, logger, localCache: true, maxEntries: 3});
+	for (const key of ['a', 'b', 'c', 'd', 'e']) {
+		await cache.set(key, key);
+		await sleep(5);
+	}
+	assert.equal(await cache.get('a'), undefined);
+	assert.equal(await cache.has('a'), false);
+	let missing;
+	const values = await cache.getOrSetMany(['a', 'e'], (keys) => {
+		missing = keys;
+		return keys.map(key => `${key}!`);
+	});
+	assert.deepEqual(missing, ['a']);
+	assert.deepEqual(values, ['a!', 'e']);
+});
+
+test('batch gets and sets are recorded in the stats', async () => {
+	const cache = new FileCache('batch-stats', {dir, logger});
+	const events = [];
+	cache.on('set', ({key}) => events.push(key));
+	await cache.setMany({a: 1, b: 2, c: 3});
+	assert.deepEqual(await cache.getMany(['a', 'b', 'x']), [1, 2, undefined]);
+	const stats = cache.stats();
+	assert.equal(stats.sets, 3);
+	assert.equal(stats.setTime.count, 1);
+	assert.equal(stats.getTime.count, 1);
+	assert.deepEqual(events.sort(), ['a', 'b', 'c']);
+
+	let errors = 0;
+	cache.on('error', () => errors++);
+	cache.backend.setMany = async () => {
+		throw new Error('write failed');
+	};
+	await cache.setMany({d: 4});
+	assert.equal(errors, 1);
+	assert.equal(cache.stats().errors, 1);
+});
+
+test('delMany deletes with bounded concurrency', async () => {
+	const cache = new FileCache('del-many', {dir, logger});
+	const keys = Array.from({length: 50}, (_, i) => `k${i}`);
+	await cache.setMany(Object.fromEntries(keys.map(key => [key, 1])));
+	let running = 0;
+	let maxRunning = 0;
+	const del = cache.backend.del.bind(cache.backend);
+	cache.backend.del = async (fullKeys) => {
+		running++;
+		maxRunning = Math.max(maxRunning, running);
+		try {
+			return await del(fullKeys);
+		}
+		finally {
+			running--;
+		}
+	};
+	await cache.delMany(keys, {concurrency: 4});
+	assert.equal(maxRunning, 4);
+	assert.deepEqual(await cache.getMany(keys), keys.map(() => undefined));
+});
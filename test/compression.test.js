@@ -0,0 +1,68 @@
+const {test, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {FileCache} = require('..');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+const logger = {error() {}};
+
+after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+function fileOf(cache, key) {
+	return cache.backend.keyToFile(cache._key(key));
+}
+
+function apiResponse(i) {
+	return {
+		id: i,
+		type: 'product',
+		attributes: {name: `product ${i}`, description: 'a product of the catalogue', price: i * 10, currency: 'EUR'},
+		links: {self: `https://api.example.com/products/${i}`, related: `https://api.example.com/products/${i}/related`},
+	};
+}
+
+test('values are compressed with each codec', async () => {
+	const cache = new FileCache('codecs', {dir, logger});
+	const value = 'some value '.repeat(100);
+	for (const codec of ['zstd', 'brotli', 'gzip', 'none']) {
+		await cache.set(codec, value, {compression: codec});
+		assert.equal(await cache.get(codec), value);
+	}
+	assert.ok(fs.statSync(fileOf(cache, 'zstd')).size < fs.statSync(fileOf(cache, 'none')).size);
+});
+
+test('values are compressed with the trained zstd dictionary', async () => {
+	const cache = new FileCache('dictionary', {dir, logger, compression: {dictionary: true, threshold: 64}});
+	const plain = new FileCache('no-dictionary', {dir, logger, compression: {threshold: 64}});
+	for (let i = 0; i < 200; i++) {
+		await cache.set(`product:${i}`, apiResponse(i));
+	}
+	const trained = await cache.trainDictionary();
+	assert.equal(trained.samples, 200);
+	assert.ok(trained.size > 0);
+
+	await cache.set('new', apiResponse(1000));
+	await plain.set('new', apiResponse(1000));
+	assert.deepEqual(await cache.get('new'), apiResponse(1000));
+	assert.ok(fs.statSync(fileOf(cache, 'new')).size < fs.statSync(fileOf(plain, 'new')).size - 50);
+
+	// read by another instance, which loads the dictionary from the disk
+	const other = new FileCache('dictionary', {dir, logger});
+	assert.deepEqual(await other.get('new'), apiResponse(1000));
+
+	// buffer values set with the dictionary are read as streams too
+	const buffer = Buffer.from(JSON.stringify(apiResponse(1001)));
+	await cache.set('buffer', buffer);
+	const chunks = [];
+	for await (const chunk of await other.getStream('buffer')) chunks.push(chunk);
+	assert.ok(Buffer.concat(chunks).equals(buffer));
+});
+
+test('dictionaries are only supported with zstd', () => {
+	assert.throws(
+		() => new FileCache('dictionary-codec', {dir, logger, compression: {codec: 'gzip', dictionary: true}}),
+		/only supported with the zstd codec/,
+	);
+});
@@ -0,0 +1,70 @@
+const {test, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {FileCache} = require('..');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+const logger = {error() {}};
+const value = 'some value '.repeat(100);
+
+after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+function fileOf(cache, key) {
+	return cache.backend.keyToFile(cache._key(key));
+}
+
+test('truncated files are deleted and treated as missing', async () => {
+	const cache = new FileCache('truncated', {dir, logger});
+	await cache.set('a', value);
+	const file = fileOf(cache, 'a');
+	fs.truncateSync(file, 20);
+
+	assert.equal(await cache.get('a'), undefined);
+	assert.equal(cache.corruptEntries, 1);
+	assert.equal(fs.existsSync(file), false);
+	assert.equal(await cache.getOrSet('a', async () => 'regenerated'), 'regenerated');
+});
+
+test('files with a changed payload fail the checksum', async () => {
+	const cache = new FileCache('checksum', {dir, logger});
+	await cache.set('a', value, {compression: false});
+	const file = fileOf(cache, 'a');
+	const buffer = fs.readFileSync(file);
+	buffer[buffer.length - 1] ^= 0xff;
+	fs.writeFileSync(file, buffer);
+
+	assert.equal(await cache.get('a'), undefined);
+	assert.equal(cache.corruptEntries, 1);
+});
+
+test('corrupt files are moved to the quarantine directory with onCorrupt: quarantine', async () => {
+	const cache = new FileCache('quarantine', {dir, logger, onCorrupt: 'quarantine'});
+	await cache.set('a', value);
+	const file = fileOf(cache, 'a');
+	fs.writeFileSync(file, 'not a cache file');
+
+	assert.equal(await cache.get('a'), undefined);
+	assert.equal(fs.existsSync(file), false);
+	const quarantined = fs.readdirSync(path.join(dir, FileCache.CACHE_ID, '_corrupt'));
+	assert.equal(quarantined.length, 1);
+	assert.ok(quarantined[0].endsWith(path.basename(file)));
+});
+
+test('verify reports the corrupt files and deletes them with fix', async () => {
+	const cache = new FileCache('verify', {dir, logger});
+	await cache.set('a', value);
+	await cache.set('b', value);
+	fs.truncateSync(fileOf(cache, 'b'), 40);
+
+	const result = await cache.verify();
+	assert.equal(result.entries, 1);
+	assert.equal(result.errors.length, 1);
+	assert.equal(result.errors[0].corrupt, true);
+	assert.equal(fs.existsSync(fileOf(cache, 'b')), true);
+
+	await cache.verify({fix: true});
+	assert.equal(fs.existsSync(fileOf(cache, 'b')), false);
+	assert.equal(await cache.get('a'), value);
+});
@@ -0,0 +1,66 @@
+const {test, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {FileCache} = require('..');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+const logger = {error() {}};
+const oldKey = crypto.randomBytes(32);
+const newKey = crypto.randomBytes(32);
+const hashKey = 'file-names';
+
+after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+function files(cache) {
+	const prefixDir = cache.backend.keyPathToDir(cache.keyPath);
+	return fs.readdirSync(prefixDir).filter(name => name.endsWith('.fc')).map(name => path.join(prefixDir, name));
+}
+
+test('values, keys and tags are encrypted', async () => {
+	const cache = new FileCache('encrypted', {dir, logger, encryptionKey: oldKey});
+	await cache.set('user:42', {secret: 'password'}, {tags: ['user:42']});
+	assert.deepEqual(await cache.get('user:42'), {secret: 'password'});
+
+	const [file] = files(cache);
+	const content = fs.readFileSync(file, 'latin1');
+	assert.ok(!content.includes('password'));
+	assert.ok(!content.includes('user:42'));
+	assert.ok(!path.basename(file).includes('user'));
+
+	const other = new FileCache('encrypted', {dir, logger, encryptionKey: oldKey.toString('hex')});
+	assert.deepEqual(await other.get('user:42'), {secret: 'password'});
+});
+
+test('rotated keys can read the old values with decryptionKeys until reencrypt', async () => {
+	const before = new FileCache('rotation', {dir, logger, encryptionKey: oldKey, hashKey});
+	await before.set('a', 'old value');
+
+	const rotated = new FileCache('rotation', {dir, logger, encryptionKey: newKey, decryptionKeys: [oldKey], hashKey});
+	assert.equal(await rotated.get('a'), 'old value');
+	await rotated.set('b', 'new value');
+
+	// values written with a key that is not given are not readable, but are not deleted either
+	const newOnly = new FileCache('rotation', {dir, logger, encryptionKey: newKey, hashKey});
+	assert.equal(await newOnly.get('a'), undefined);
+	assert.equal(await newOnly.get('b'), 'new value');
+	assert.equal(files(newOnly).length, 2);
+	assert.equal(newOnly.corruptEntries, 0);
+
+	const result = await rotated.reencrypt();
+	assert.equal(result.entries, 2);
+	assert.equal(await newOnly.get('a'), 'old value');
+	assert.equal(await newOnly.get('b'), 'new value');
+});
+
+test('reencrypt encrypts the values of an unencrypted cache', async () => {
+	const plain = new FileCache('plain', {dir, logger});
+	await plain.set('a', 'plain value');
+
+	const encrypted = new FileCache('plain', {dir, logger, encryptionKey: newKey, hashKey});
+	await encrypted.reencrypt();
+	assert.equal(await encrypted.get('a'), 'plain value');
+	assert.ok(!fs.readFileSync(files(encrypted)[0], 'latin1').includes('plain value'));
+});
@@ -0,0 +1,152 @@
+const {test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {once} = require('events');
+const {FileCache} = require('..');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+const logger = {error() {}};
+// number of requests received by path
+const requests = {};
+let failing = false;
+
+const server = http.createServer((req, res) => {
+	const {pathname} = new URL(req.url, 'http://localhost');
+	requests[pathname] = (requests[pathname] || 0) + 1;
+	const count = requests[pathname];
+	switch (pathname) {
+		case '/fresh':
+			res.setHeader('cache-control', 'max-age=60');
+			res.end(`fresh ${count}`);
+			return;
+		case '/swr':
+			res.setHeader('cache-control', 'max-age=0, stale-while-revalidate=60');
+			res.end(`swr ${count}`);
+			return;
+		case '/etag':
+			res.setHeader('cache-control', 'no-cache');
+			res.setHeader('etag', '"v1"');
+			if (req.headers['if-none-match'] === '"v1"') {
+				res.statusCode = 304;
+				res.end();
+				return;
+			}
+			res.end('etag body');
+			return;
+		case '/error':
+			if (failing) {
+				res.statusCode = 500;
+				res.end('error');
+				return;
+			}
+			res.setHeader('cache-control', 'max-age=1, stale-if-error=60');
+			res.end(`ok ${count}`);
+			return;
+		case '/vary':
+			res.setHeader('cache-control', 'max-age=60');
+			res.setHeader('vary', 'accept-language');
+			res.end(`lang ${req.headers['accept-language']}`);
+			return;
+		case '/private':
+			res.setHeader('cache-control', 'private, max-age=60');
+			res.end(`private ${count}`);
+			return;
+		default:
+			res.setHeader('cache-control', 'max-age=60');
+			res.end(`${req.headers.authorization} ${count}`);
+	}
+});
+let baseUrl;
+
+before(async () => {
+	server.listen(0, '127.0.0.1');
+	await once(server, 'listening');
+	baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+	server.close();
+	server.closeAllConnections();
+	fs.rmSync(dir, {recursive: true, force: true});
+});
+
+async function fetchText(cache, urlPath, init, options) {
+	const res = await cache.fetch(`${baseUrl}${urlPath}`, init, options);
+	return [await res.text(), res.headers.get('x-cache')];
+}
+
+async function waitFor(fn, timeout = 2000) {
+	const start = Date.now();
+	while (!fn()) {
+		if (Date.now() - start > timeout) throw new Error('timed out waiting for the condition');
+		await new Promise(resolve => setTimeout(resolve, 10));
+	}
+}
+
+test('fresh responses are served from the cache', async () => {
+	const cache = new FileCache('fetch-fresh', {dir, logger});
+	assert.deepEqual(await fetchText(cache, '/fresh'), ['fresh 1', 'MISS']);
+	assert.deepEqual(await fetchText(cache, '/fresh'), ['fresh 1', 'HIT']);
+	assert.equal(requests['/fresh'], 1);
+});
+
+test('stale-while-revalidate responses are served stale and refetched in the background', async () => {
+	const cache = new FileCache('fetch-swr', {dir, logger});
+	assert.deepEqual(await fetchText(cache, '/swr'), ['swr 1', 'MISS']);
+	assert.deepEqual(await fetchText(cache, '/swr'), ['swr 1', 'STALE']);
+	await waitFor(() => requests['/swr'] === 2);
+	// give the background refetch time to store the response
+	await new Promise(resolve => setTimeout(resolve, 100));
+	assert.deepEqual(await fetchText(cache, '/swr'), ['swr 2', 'STALE']);
+});
+
+test('responses with an ETag are revalidated', async () => {
+	const cache = new FileCache('fetch-etag', {dir, logger});
+	assert.deepEqual(await fetchText(cache, '/etag'), ['etag body', 'MISS']);
+	assert.deepEqual(await fetchText(cache, '/etag'), ['etag body', 'REVALIDATED']);
+	assert.equal(requests['/etag'], 2);
+});
+
+test('stale-if-error responses are served when refetching fails', async () => {
+	const cache = new FileCache('fetch-error', {dir, logger});
+	assert.deepEqual(await fetchText(cache, '/error'), ['ok 1', 'MISS']);
+	await new Promise(resolve => setTimeout(resolve, 1100));
+	failing = true;
+	try {
+		assert.deepEqual(await fetchText(cache, '/error'), ['ok 1', 'STALE']);
+	}
+	finally {
+		failing = false;
+	}
+});
+
+test('responses are cached per variant of the headers named by Vary', async () => {
+	const cache = new FileCache('fetch-vary', {dir, logger});
+	const en = {headers: {'accept-language': 'en'}};
+	const fr = {headers: {'accept-language': 'fr'}};
+	assert.deepEqual(await fetchText(cache, '/vary', en), ['lang en', 'MISS']);
+	assert.deepEqual(await fetchText(cache, '/vary', en), ['lang en', 'HIT']);
+	assert.deepEqual(await fetchText(cache, '/vary', fr), ['lang fr', 'MISS']);
+	assert.deepEqual(await fetchText(cache, '/vary', fr), ['lang fr', 'HIT']);
+});
+
+test('responses to authorized requests are not shared', async () => {
+	const cache = new FileCache('fetch-auth', {dir, logger});
+	assert.deepEqual(await fetchText(cache, '/auth', {headers: {authorization: 'alice'}}), ['alice 1', null]);
+	assert.deepEqual(await fetchText(cache, '/auth', {headers: {authorization: 'bob'}}), ['bob 2', null]);
+	// unless keyed explicitly
+	const options = {key: 'auth:alice'};
+	assert.deepEqual(await fetchText(cache, '/auth', {headers: {authorization: 'alice'}}, options), ['alice 3', 'MISS']);
+	assert.deepEqual(await fetchText(cache, '/auth', {headers: {authorization: 'alice'}}, options), ['alice 3', 'HIT']);
+});
+
+test('private responses are cached only with an explicit key', async () => {
+	const cache = new FileCache('fetch-private', {dir, logger});
+	assert.deepEqual(await fetchText(cache, '/private'), ['private 1', 'MISS']);
+	assert.deepEqual(await fetchText(cache, '/private'), ['private 2', 'MISS']);
+	assert.deepEqual(await fetchText(cache, '/private', {}, {key: 'private'}), ['private 3', 'MISS']);
+	assert.deepEqual(await fetchText(cache, '/private', {}, {key: 'private'}), ['private 3', 'HIT']);
+});
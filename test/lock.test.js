@@ -0,0 +1,61 @@
+const {test, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {execFile} = require('child_process');
+const {promisify} = require('util');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+const root = path.resolve(__dirname, '..');
+
+after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+/**
+ * run a script in a child process
+ * @param {string} script body of an async function having FileCache, fs, dir & counter in scope
+ * @param {string} counter file the script can count calls in
+ * @returns {Promise<string>} stdout
+ */
+async function runChild(script, counter) {
+	const code = `
+		const fs = require('fs');
+		const {FileCache} = require(${JSON.stringify(root)});
+		const [dir, counter] = process.argv.slice(1);
+		(async () => {
+			${script}
+		})().catch((e) => {
+			console.error(e);
+			process.exit(1);
+		});
+	`;
+	const {stdout} = await promisify(execFile)(process.execPath, ['-e', code, dir, counter]);
+	return stdout;
+}
+
+test('getOrSet generates a value in only one process at a time', async () => {
+	const counter = path.join(dir, 'generated');
+	const script = `
+		const cache = new FileCache('lock', {dir});
+		const value = await cache.getOrSet('key', async () => {
+			fs.appendFileSync(counter, 'x');
+			await new Promise(resolve => setTimeout(resolve, 1000));
+			return process.pid;
+		}, '1h');
+		process.stdout.write(String(value));
+	`;
+	const values = await Promise.all(Array.from({length: 4}, () => runChild(script, counter)));
+	assert.equal(fs.readFileSync(counter, 'utf8'), 'x');
+	assert.equal(new Set(values).size, 1);
+});
+
+test('incr is atomic across processes', async () => {
+	const script = `
+		const cache = new FileCache('incr', {dir});
+		for (let i = 0; i < 10; i++) await cache.incr('visits');
+	`;
+	await Promise.all(Array.from({length: 4}, () => runChild(script, '')));
+	const {FileCache} = require('..');
+	const cache = new FileCache('incr', {dir});
+	assert.equal(await cache.get('visits'), 40);
+});
@@ -0,0 +1,206 @@
+const {test, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {once} = require('events');
+const express = require('express');
+const Koa = require('koa');
+const {FileCache} = require('..');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+const logger = {error() {}};
+const servers = [];
+
+after(() => {
+	servers.forEach((server) => {
+		server.close();
+		server.closeAllConnections();
+	});
+	fs.rmSync(dir, {recursive: true, force: true});
+});
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * start a server with a request listener
+ * @returns {Promise<string>} base url of the server
+ */
+async function listen(listener) {
+	const server = http.createServer(listener);
+	servers.push(server);
+	server.listen(0, '127.0.0.1');
+	await once(server, 'listening');
+	return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function get(url, headers) {
+	const res = await fetch(url, {headers});
+	return [await res.text(), res.headers.get('x-cache')];
+}
+
+// the same app in node http, express & koa, counting the calls of its handler
+const apps = {
+	async http(middlewareOptions) {
+		const counts = {handled: 0};
+		const cache = new FileCache('middleware-http', {dir, logger});
+		await cache.clear();
+		const middleware = cache.middleware(middlewareOptions);
+		const baseUrl = await listen((req, res) => middleware(req, res, () => {
+			counts.handled++;
+			res.setHeader('content-type', 'text/plain');
+			if (req.url === '/cookie') res.setHeader('set-cookie', 'a=1');
+			res.statusCode = (req.url === '/error') ? 500 : 200;
+			res.end(`${req.url} ${req.headers['x-lang'] || ''} ${counts.handled}`);
+		}));
+		return {baseUrl, counts};
+	},
+
+	async express(middlewareOptions) {
+		const counts = {handled: 0, requests: 0};
+		const cache = new FileCache('middleware-express', {dir, logger});
+		await cache.clear();
+		const app = express();
+		app.use((req, res, next) => {
+			counts.requests++;
+			next();
+		});
+		const router = express.Router();
+		router.get('/:name', cache.middleware(middlewareOptions), (req, res) => {
+			counts.handled++;
+			if (req.params.name === 'cookie') res.cookie('a', '1');
+			res.status((req.params.name === 'error') ? 500 : 200);
+			res.type('text').send(`/${req.params.name} ${req.get('x-lang') || ''} ${counts.handled}`);
+		});
+		// mounted, so that the handlers get the url without the mount path
+		app.use('/', router);
+		return {baseUrl: await listen(app), counts};
+	},
+
+	async koa(middlewareOptions) {
+		const counts = {handled: 0, requests: 0};
+		const cache = new FileCache('middleware-koa', {dir, logger});
+		await cache.clear();
+		const app = new Koa();
+		app.silent = true;
+		app.use(async (ctx, next) => {
+			counts.requests++;
+			await next();
+		});
+		app.use(cache.koaMiddleware(middlewareOptions));
+		app.use(async (ctx) => {
+			counts.handled++;
+			if (ctx.path === '/cookie') ctx.cookies.set('a', '1');
+			ctx.status = (ctx.path === '/error') ? 500 : 200;
+			ctx.type = 'text';
+			ctx.body = `${ctx.path} ${ctx.get('x-lang')} ${counts.handled}`;
+		});
+		return {baseUrl: await listen(app.callback()), counts};
+	},
+};
+
+for (const [name, createApp] of Object.entries(apps)) {
+	test(`${name}: responses are cached`, async () => {
+		const {baseUrl, counts} = await createApp({ttl: '1m'});
+		const first = await fetch(`${baseUrl}/a`);
+		assert.equal(await first.text(), '/a  1');
+		assert.equal(first.headers.get('x-cache'), 'MISS');
+		assert.match(first.headers.get('content-type'), /^text\/plain/);
+
+		const second = await fetch(`${baseUrl}/a`);
+		assert.equal(await second.text(), '/a  1');
+		assert.equal(second.headers.get('x-cache'), 'HIT');
+		assert.equal(second.headers.get('etag'), first.headers.get('etag'));
+		assert.equal(counts.handled, 1);
+	});
+
+	test(`${name}: stale responses are served and regenerated in the background`, async () => {
+		const {baseUrl, counts} = await createApp({ttl: '1m', staleTTL: 50});
+		assert.deepEqual(await get(`${baseUrl}/a`), ['/a  1', 'MISS']);
+		await sleep(100);
+		assert.deepEqual(await get(`${baseUrl}/a`), ['/a  1', 'HIT']);
+		// regenerated once, without a second call of next for the same request
+		for (let i = 0; i < 100 && counts.handled < 2; i++) await sleep(10);
+		await sleep(50);
+		assert.equal(counts.handled, 2);
+		// express & koa regenerate with a copy of the request, which goes through the whole app
+		if (counts.requests !== undefined) assert.equal(counts.requests, 3);
+		assert.deepEqual(await get(`${baseUrl}/a`), ['/a  2', 'HIT']);
+		assert.equal(counts.handled, 2);
+	});
+
+	test(`${name}: error responses & responses setting cookies are not cached`, async () => {
+		const {baseUrl, counts} = await createApp({ttl: '1m'});
+		const error = await fetch(`${baseUrl}/error`);
+		assert.equal(error.status, 500);
+		assert.equal(await error.text(), '/error  1');
+		assert.equal((await fetch(`${baseUrl}/error`)).status, 500);
+
+		const cookie = await fetch(`${baseUrl}/cookie`);
+		assert.match(cookie.headers.get('set-cookie'), /^a=1/);
+		await cookie.text();
+		assert.deepEqual(await get(`${baseUrl}/cookie`), ['/cookie  4', null]);
+		assert.equal(counts.handled, 4);
+	});
+
+	test(`${name}: responses vary by the vary headers`, async () => {
+		const {baseUrl, counts} = await createApp({ttl: '1m', vary: ['X-Lang']});
+		assert.deepEqual(await get(`${baseUrl}/a`, {'x-lang': 'en'}), ['/a en 1', 'MISS']);
+		assert.deepEqual(await get(`${baseUrl}/a`, {'x-lang': 'fr'}), ['/a fr 2', 'MISS']);
+		assert.deepEqual(await get(`${baseUrl}/a`, {'x-lang': 'en'}), ['/a en 1', 'HIT']);
+		assert.equal(counts.handled, 2);
+	});
+
+	test(`${name}: ttl functions set per route ttls, null does not cache`, async () => {
+		const ttl = (reqOrCtx) => {
+			const url = reqOrCtx.originalUrl || reqOrCtx.url;
+			return url.startsWith('/nocache') ? null : '1m';
+		};
+		const {baseUrl, counts} = await createApp({ttl});
+		assert.deepEqual(await get(`${baseUrl}/nocache`), ['/nocache  1', null]);
+		assert.deepEqual(await get(`${baseUrl}/nocache`), ['/nocache  2', null]);
+		assert.deepEqual(await get(`${baseUrl}/a`), ['/a  3', 'MISS']);
+		assert.deepEqual(await get(`${baseUrl}/a`), ['/a  3', 'HIT']);
+		assert.equal(counts.handled, 3);
+	});
+
+	test(`${name}: the bypass header regenerates the response only if enabled`, async () => {
+		const {baseUrl} = await createApp({ttl: '1m'});
+		assert.deepEqual(await get(`${baseUrl}/a`), ['/a  1', 'MISS']);
+		assert.deepEqual(await get(`${baseUrl}/a`, {'x-cache-bypass': '1'}), ['/a  1', 'HIT']);
+
+		const enabled = await createApp({ttl: '1m', bypassHeader: 'X-Cache-Bypass'});
+		assert.deepEqual(await get(`${enabled.baseUrl}/a`), ['/a  1', 'MISS']);
+		assert.deepEqual(await get(`${enabled.baseUrl}/a`, {'x-cache-bypass': '1'}), ['/a  2', 'MISS']);
+		assert.deepEqual(await get(`${enabled.baseUrl}/a`), ['/a  2', 'HIT']);
+	});
+}
+
+test('conditional requests are answered with 304', async () => {
+	const {baseUrl} = await apps.http({ttl: '1m'});
+	const {headers} = await fetch(`${baseUrl}/a`);
+	// fetch adds cache-control: no-cache to conditional requests
+	const req = http.get(`${baseUrl}/a`, {headers: {'if-none-match': headers.get('etag')}});
+	const [res] = await once(req, 'response');
+	res.resume();
+	await once(res, 'end');
+	assert.equal(res.statusCode, 304);
+	assert.equal(res.headers.etag, headers.get('etag'));
+});
+
+test('HEAD requests are served from the cached GET response', async () => {
+	const {baseUrl, counts} = await apps.http({ttl: '1m'});
+	const head = await fetch(`${baseUrl}/a`, {method: 'HEAD'});
+	assert.equal(head.headers.get('x-cache'), null);
+
+	const body = await (await fetch(`${baseUrl}/a`)).text();
+	const res = await fetch(`${baseUrl}/a`, {method: 'HEAD'});
+	assert.equal(res.status, 200);
+	assert.equal(res.headers.get('x-cache'), 'HIT');
+	assert.equal(res.headers.get('content-length'), String(Buffer.byteLength(body)));
+	assert.equal(await res.text(), '');
+	assert.equal(counts.handled, 2);
+});
@@ -0,0 +1,77 @@
+const {test, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {Readable} = require('stream');
+const {FileCache} = require('..');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+const logger = {error() {}};
+// larger than a stream chunk, partly compressible
+const data = Buffer.concat([crypto.randomBytes(512 * 1024), Buffer.from('compressible '.repeat(200 * 1024))]);
+
+after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+function toStream(buffer, size = 64 * 1024) {
+	const chunks = [];
+	for (let i = 0; i < buffer.length; i += size) chunks.push(buffer.subarray(i, i + size));
+	return Readable.from(chunks);
+}
+
+async function readAll(stream) {
+	const chunks = [];
+	for await (const chunk of stream) chunks.push(chunk);
+	return Buffer.concat(chunks);
+}
+
+for (const [name, options] of [
+	['zstd', {}],
+	['gzip', {compression: 'gzip'}],
+	['brotli', {compression: 'brotli'}],
+	['no compression', {compression: false}],
+	['encryption', {encryptionKey: crypto.randomBytes(32)}],
+]) {
+	test(`setStream & getStream round trip (${name})`, async () => {
+		const cache = new FileCache(`stream-${name}`, {dir, logger, ...options});
+		await cache.setStream('a', toStream(data), {ttl: '1h'});
+		const stream = await cache.getStream('a');
+		assert.ok(stream);
+		assert.ok((await readAll(stream)).equals(data));
+		// values set from a stream can be read as buffers too
+		assert.ok((await cache.get('a')).equals(data));
+	});
+}
+
+test('getStream reads values set as buffers', async () => {
+	const cache = new FileCache('stream-buffer', {dir, logger});
+	await cache.set('a', data);
+	assert.ok((await readAll(await cache.getStream('a'))).equals(data));
+	assert.equal(await cache.getStream('missing'), undefined);
+});
+
+test('setStream waits for a write of the same key in progress', async () => {
+	const cache = new FileCache('stream-concurrent', {dir, logger});
+	let opened = 0;
+	const open = () => {
+		opened++;
+		return toStream(data);
+	};
+	await Promise.all([cache.setStream('a', open), cache.setStream('a', open)]);
+	assert.equal(opened, 1);
+	assert.ok((await readAll(await cache.getStream('a'))).equals(data));
+});
+
+test('a failing stream does not leave a value behind', async () => {
+	const cache = new FileCache('stream-error', {dir, logger});
+	async function* failing() {
+		yield data.subarray(0, 1024);
+		throw new Error('read failed');
+	}
+	await assert.rejects(cache.setStream('a', failing()), /read failed/);
+	assert.equal(await cache.get('a'), undefined);
+	const prefixDir = cache.backend.keyPathToDir(cache.keyPath);
+	const leftovers = fs.existsSync(prefixDir) ? fs.readdirSync(prefixDir).filter(name => name.endsWith('.fc')) : [];
+	assert.deepEqual(leftovers, []);
+});
@@ -0,0 +1,106 @@
+const {test, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {FileCache} = require('..');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+const logger = {error() {}};
+
+after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// number of entries in the tag index
+function tagEntries(cache) {
+	const tagsDir = cache.backend.tagsDir();
+	if (!fs.existsSync(tagsDir)) return 0;
+	return fs.readdirSync(tagsDir).reduce((count, tag) => count + fs.readdirSync(path.join(tagsDir, tag)).length, 0);
+}
+
+test('invalidateTags deletes the values having the tags (in all the prefixes)', async () => {
+	const users = new FileCache('tags-users', {dir, logger});
+	const orders = new FileCache('tags-orders', {dir, logger});
+	await users.set('42', 'user', {tags: ['user:42']});
+	await orders.set('1', 'order', {tags: ['user:42', 'orders']});
+	await orders.set('2', 'order', {tags: ['orders']});
+
+	assert.equal(await users.invalidateTags('user:42'), 2);
+	assert.equal(await users.get('42'), undefined);
+	assert.equal(await orders.get('1'), undefined);
+	assert.equal(await orders.get('2'), 'order');
+});
+
+test('invalidateTags finds the values of prefixes with other shard & encryption settings', async () => {
+	const sharded = new FileCache('tags-sharded', {dir, logger, shard: [2]});
+	const encrypted = new FileCache('tags-encrypted', {dir, logger, encryptionKey: crypto.randomBytes(32)});
+	const plain = new FileCache('tags-plain', {dir, logger});
+	await sharded.set('x', 1, {tags: ['mixed']});
+	await encrypted.set('y', 2, {tags: ['mixed']});
+
+	assert.equal(await plain.invalidateTags(['mixed']), 2);
+	assert.equal(await sharded.get('x'), undefined);
+	assert.equal(await encrypted.get('y'), undefined);
+
+	await plain.set('z', 3, {tags: ['mixed']});
+	await encrypted.set('y', 2, {ttl: '1h', tags: ['mixed']});
+	assert.equal(await encrypted.markStaleByTags(['mixed']), 2);
+	assert.equal(await plain.get('z'), 3);
+	assert.equal((await encrypted.backend.head(encrypted._key('y'))).m, true);
+});
+
+test('tagged values are found after resharding', async () => {
+	const cache = new FileCache('tags-reshard', {dir, logger});
+	await cache.set('a', 1, {tags: ['reshard']});
+	await cache.reshard([1, 2]);
+	const resharded = new FileCache('tags-reshard', {dir, logger, shard: [1, 2]});
+	assert.equal(await resharded.get('a'), 1);
+	assert.equal(await new FileCache('tags-other', {dir, logger}).invalidateTags(['reshard']), 1);
+	assert.equal(await resharded.get('a'), undefined);
+});
+
+test('markStaleByTags marks the values stale', async () => {
+	const cache = new FileCache('tags-stale', {dir, logger});
+	let calls = 0;
+	const fn = async () => ++calls;
+	await cache.getOrSet('a', fn, {ttl: '1h', staleTTL: '1h', tags: ['stale']});
+	assert.equal(await cache.markStaleByTags('stale'), 1);
+	assert.equal(await cache.getOrSet('a', fn, {ttl: '1h', staleTTL: '1h', freshResult: true}), 2);
+});
+
+test('tag entries are removed when values are deleted, pruned, evicted or cleared', async () => {
+	const cache = new FileCache('tags-cleanup', {dir, logger});
+	const before = tagEntries(cache);
+	await cache.set('a', 1, {tags: ['cleanup:a', 'cleanup']});
+	await cache.set('b', 1, {ttl: 10, tags: ['cleanup:b', 'cleanup']});
+	assert.equal(tagEntries(cache), before + 4);
+
+	await cache.del('a');
+	assert.equal(tagEntries(cache), before + 2);
+	await sleep(20);
+	await cache.prune();
+	assert.equal(tagEntries(cache), before);
+
+	// set again without the tag, the entry is swept by prune
+	await cache.set('c', 1, {tags: ['cleanup:c']});
+	await cache.set('c', 2);
+	assert.equal(tagEntries(cache), before + 1);
+	await cache.prune();
+	assert.equal(tagEntries(cache), before);
+
+	await cache.set('d', 1, {tags: ['cleanup:d']});
+	await cache.clear();
+	assert.equal(tagEntries(cache), before);
+
+	const limited = new FileCache('tags-evict', {dir, logger, maxEntries: 2});
+	for (const key of ['a', 'b', 'c', 'd']) {
+		await limited.set(key, 1, {tags: [`evict:${key}`]});
+		await sleep(5);
+	}
+	const entries = fs.readdirSync(limited.backend.keyPathToDir(limited.keyPath)).filter(name => name.endsWith('.fc'));
+	assert.equal(tagEntries(cache), before + entries.length);
+});